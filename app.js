@@ -1,11 +1,73 @@
 // api urls and storage keys
 const OMDB_URL = 'https://www.omdbapi.com/';
 const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
+const GEMINI_MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models'; // cheap call for checking a key
+
+// share links - format version and the most movies a link can hold
+const SHARE_VERSION = 1;
+const SHARE_MAX = 500;
+
+// known movie used to test an omdb key (the shawshank redemption)
+const KEY_CHECK_ID = 'tt0111161';
 
 // localstorage keys
 const OMDB_KEY = 'cinematch_omdb_key';
 const GEMINI_KEY = 'cinematch_gemini_key';
-const WATCHLIST_KEY = 'cinematch_watchlist';
+const WATCHLIST_KEY = 'cinematch_watchlist'; // old single list, migrated to LISTS_KEY
+const LISTS_KEY = 'cinematch_lists';
+const HISTORY_KEY = 'cinematch_history';
+const RATING_PREFS_KEY = 'cinematch_rating_prefs';
+const DISMISSED_KEY = 'cinematch_dismissed';
+const PEOPLE_KEY = 'cinematch_people';
+const SESSIONS_KEY = 'cinematch_sessions';
+const CACHE_SETTINGS_KEY = 'cinematch_cache_settings';
+const LLM_SETTINGS_KEY = 'cinematch_llm';
+const QUOTA_KEY = 'cinematch_quota';
+const PROXY_KEY = 'cinematch_proxy';
+const SYNC_KEY = 'cinematch_sync';
+const PARTY_KEY = 'cinematch_party';
+const CRITIC_WEIGHTS_KEY = 'cinematch_critic_weights';
+const FAMILY_KEY = 'cinematch_family';
+
+// how often to pull changes from the sync server while signed in
+const SYNC_INTERVAL = 60000;
+
+// indexeddb names for the omdb response cache
+const CACHE_DB = 'cinematch_cache';
+const CACHE_STORE = 'omdb';
+
+// omdb request queue - how many run at once, retries for things that might
+// work a second time, and the free key's daily limit
+const OMDB_CONCURRENCY = 3;
+const OMDB_RETRIES = 3;
+const OMDB_BACKOFF = 500; // ms, doubles on each retry
+const OMDB_DAILY_QUOTA = 1000;
+
+// what to tell the user for each kind of omdb error
+const omdbErrorText = {
+    'invalid-key': 'OMDB rejected your API key - check it in Settings',
+    'limit': 'OMDB\'s daily request limit is used up - only cached movies until it resets',
+    'not-found': 'OMDB has nothing matching that',
+    'too-many': 'Too many matches - try a longer search',
+    'network': 'Can\'t reach OMDB - check your connection',
+    'other': 'OMDB had a problem with that request'
+};
+
+// default cache settings - ttls are in hours
+const cacheDefaults = {
+    search: 24,
+    details: 168,
+    similar: 72,
+    maxMB: 5
+};
+
+// which ai reads mood descriptions - url / model / key are for the non-gemini ones
+const llmDefaults = {
+    provider: 'gemini',
+    url: '',
+    model: '',
+    key: ''
+};
 
 // placeholder text for search
 const placeholders = {
@@ -14,19 +76,219 @@ const placeholders = {
     mood: 'Describe your mood (e.g., "I want something funny and light")...'
 };
 
+// omdb gives 10 results per page and stops at page 100
+const MAX_PAGES = 100;
+// how many new movies a mood search adds each time
+const MOOD_BATCH = 20;
+// the people index forgets the movies it saw longest ago past this
+const PEOPLE_MAX_MOVIES = 3000;
+
+// search filters when nothing is picked
+const filterDefaults = {
+    yearFrom: '',
+    yearTo: '',
+    type: 'movie',
+    minRating: '',
+    runtimeMin: '',
+    runtimeMax: '',
+    genre: '',
+    sort: 'relevance'
+};
+
+// search words for each genre, used to find candidates for similar movies
+const similarKeywords = {
+    'Action': ['action', 'adventure', 'thriller'],
+    'Comedy': ['comedy', 'funny', 'humor'],
+    'Drama': ['drama', 'emotional', 'story'],
+    'Horror': ['horror', 'scary', 'thriller'],
+    'Sci-Fi': ['space', 'future', 'robot'],
+    'Romance': ['love', 'romance', 'romantic'],
+    'Thriller': ['thriller', 'suspense', 'mystery'],
+    'Animation': ['animation', 'animated', 'cartoon']
+};
+
+// how much each thing counts when scoring similar movies
+// genre is scaled by overlap, actor is per shared actor, year fades out over 20 years
+const similarWeights = {
+    genre: 4,
+    director: 3,
+    actor: 1.5,
+    year: 2,
+    rating: 1,
+    language: 1,
+    country: 0.5
+};
+
+// how many search hits get their details loaded for scoring
+const SIMILAR_CANDIDATES = 12;
+const SIMILAR_SHOWN = 6;
+// of those, up to this many come from the same director and top-billed cast
+const SIMILAR_PEOPLE_CANDIDATES = 6;
+const SIMILAR_CAST = 3;
+
+// how much each part of the taste profile counts for the for you feed
+// genre and decade are scaled against your top genre / decade, people are per match
+const tasteWeights = {
+    genre: 3,
+    director: 2,
+    actor: 1,
+    decade: 1.5,
+    rating: 1
+};
+
+// a thumbs down takes this much off everything the movie had
+const DISLIKE_WEIGHT = 0.5;
+// only the most recent saved movies go into the profile, each costs a details request
+const TASTE_SOURCES = 40;
+const FOR_YOU_CANDIDATES = 15;
+const FOR_YOU_SHOWN = 8;
+
+// family mode - certifications from mildest up, and what other ratings omdb
+// uses (tv, old films) count as. anything else is unrated
+const certLevels = ['G', 'PG', 'PG-13', 'R', 'NC-17'];
+const certAliases = {
+    'TV-Y': 'G',
+    'TV-Y7': 'G',
+    'TV-G': 'G',
+    'Approved': 'G',
+    'Passed': 'G',
+    'TV-PG': 'PG',
+    'GP': 'PG',
+    'M': 'PG',
+    'M/PG': 'PG',
+    'TV-14': 'PG-13',
+    'TV-MA': 'R',
+    'X': 'NC-17'
+};
+const FAMILY_PIN_MIN = 4;
+const FAMILY_PIN_TRIES = 3; // wrong pins before turning it off is locked
+const FAMILY_LOCK_SECS = 30; // first lock, doubles with every lock after that
+
+// how much each of omdb's rating sources counts towards the critic score
+const criticDefaults = {
+    'Internet Movie Database': 50,
+    'Rotten Tomatoes': 25,
+    'Metacritic': 25
+};
+
+// comparison table - how many movies at once, and short names for omdb's rating sources
+const COMPARE_MAX = 4;
+const ratingSourceNames = {
+    'Internet Movie Database': 'IMDb',
+    'Rotten Tomatoes': 'Rotten Tomatoes',
+    'Metacritic': 'Metacritic'
+};
+
+// used by the optimizer when a movie has no rating at all
+const DEFAULT_RATING = 5;
+
+// things the weekend optimizer can try to maximize
+const optimizeGoals = {
+    rating: 'total rating',
+    count: 'number of movies',
+    minutes: 'minutes used'
+};
+
+// how party mode turns everyone's votes into one score per movie
+const partyRules = {
+    average: 'Average (most happiness overall)',
+    misery: 'Least misery (nobody sits through something they hate)'
+};
+// voting at least this much (or bringing the movie) makes a pick "for" someone
+const PARTY_FAN_VOTE = 7;
+
 // app state - stores current data
 var searchType = 'title'; // can be title, actor, or mood
 var movies = []; // search results go here
+var searchState = null; // current search, used to load more pages
+var filters = null; // filled from the filter bar by readFilters()
+var filterRun = 0; // bumps every time filters are applied so old runs can stop
 var currentMovie = null; // selected movie for modal
-var watchlist = []; // user's watchlist
+var seriesView = null; // season shown in the series popup - { series, season, episodes }
+var watchlist = []; // movies in the current list
+var lists = []; // all named lists - { id, name, movies }
+var currentListId = null;
+var listMenuMovieId = null; // movie the list picker popup is open for
+var dialogStack = []; // open popups, newest last - { modal, returnTo }
+var compareIds = []; // movies picked for the comparison table
+var compareMovies = []; // their details while the table is open
+var watchHistory = []; // watched movies, newest first
+var watchedEdit = null; // what the watched popup is saving - { imdbID } or { index }
+var ratingPrefs = { mode: 'imdb', weight: 50 }; // which rating the optimizer uses
+var planMode = 'hours'; // hours or sessions
+var sessions = []; // viewing windows for the weekend
+var breakMins = 15; // break between movies in a session
+var lastSchedule = null; // kept for the .ics export
+// group movie night - people: [{ id, name, votes: { imdbID: 1-10 or 'veto' } }], brought: { imdbID: person id }
+var party = { on: false, rule: 'average', people: [], brought: {} };
+var importPreview = null; // matched rows waiting for the user to confirm
+var importRun = 0; // bumped per file and on cancel, so a stale match doesn't open the preview
+var sharedPreview = null; // list from a share link - { code, name, loading, rows: [{ imdbID, entry }] }
+var tasteSources = []; // saved movies with details - { movie, weight }
+var forYouPool = []; // candidate movies with details, reranked after each thumbs down
+var dismissed = []; // movies the user said no to
+var peopleIndex = { people: {}, movies: {} }; // cast and crew from every details payload we've seen
+var cacheSettings = Object.assign({}, cacheDefaults);
+var criticWeights = Object.assign({}, criticDefaults);
+var family = { on: false, max: 'PG', unrated: 'hide', pin: '', fails: 0, lockedUntil: 0 }; // pin is a hash, '' while off
+var llmSettings = Object.assign({}, llmDefaults);
+var proxySettings = { enabled: false, url: '', gemini: false }; // url '' = the proxy serves this page
+// sync account, what the server last saw (key -> json) and edits not sent yet
+var sync = { server: '', user: '', token: '', cursor: 0, known: {}, pending: [], lastSync: 0 };
+var syncBusy = false;
+var syncTimer = null;
+var cacheDbPromise = null; // opened on first use
+var cacheBytes = -1; // total size of cached data, -1 until counted
+var omdbQueue = []; // requests waiting for a free slot
+var omdbActive = 0;
+var omdbInFlight = {}; // params -> promise, so the same request only goes out once
+var omdbReported = {}; // error kind -> when we last told the user, to stop toast floods
+var quota = { day: '', count: 0, limited: false }; // omdb requests made today
 var loading = false;
 
 // grab all the elements we need
 var apiModal = document.getElementById('apiConfigModal');
 var omdbInput = document.getElementById('omdbApiKey');
 var geminiInput = document.getElementById('geminiApiKey');
+var llmProviderSelect = document.getElementById('llmProvider');
+var llmCustomDiv = document.getElementById('llmCustom');
+var llmUrlInput = document.getElementById('llmUrl');
+var llmModelInput = document.getElementById('llmModel');
+var llmKeyGroup = document.getElementById('llmKeyGroup');
+var llmKeyInput = document.getElementById('llmKey');
 var saveKeysBtn = document.getElementById('saveApiKeys');
+var omdbKeyStatus = document.getElementById('omdbKeyStatus');
+var geminiKeyStatus = document.getElementById('geminiKeyStatus');
+var proxyEnabledInput = document.getElementById('proxyEnabled');
+var proxyUrlInput = document.getElementById('proxyUrl');
+var proxyStatusP = document.getElementById('proxyStatus');
 var settingsBtn = document.getElementById('settingsBtn');
+var cacheIndicator = document.getElementById('cacheIndicator');
+var cacheStatsDiv = document.getElementById('cacheStats');
+var cacheEntriesUl = document.getElementById('cacheEntries');
+var cacheInputs = document.querySelectorAll('.cache-setting');
+var criticInputs = document.querySelectorAll('.critic-weight');
+var familyForm = document.getElementById('familyForm');
+var familyMaxSelect = document.getElementById('familyMax');
+var familyUnratedSelect = document.getElementById('familyUnrated');
+var familyNewPinInput = document.getElementById('familyNewPin');
+var familyOnBtn = document.getElementById('familyOnBtn');
+var familyLockedDiv = document.getElementById('familyLocked');
+var familyStatusP = document.getElementById('familyStatus');
+var familyPinInput = document.getElementById('familyPin');
+var familyOffBtn = document.getElementById('familyOffBtn');
+var similarHiddenP = document.getElementById('similarHidden');
+var clearCacheBtn = document.getElementById('clearCacheBtn');
+var syncForm = document.getElementById('syncForm');
+var syncServerInput = document.getElementById('syncServer');
+var syncUserInput = document.getElementById('syncUser');
+var syncPasswordInput = document.getElementById('syncPassword');
+var syncLoginBtn = document.getElementById('syncLoginBtn');
+var syncRegisterBtn = document.getElementById('syncRegisterBtn');
+var syncAccountDiv = document.getElementById('syncAccount');
+var syncStatusP = document.getElementById('syncStatus');
+var syncNowBtn = document.getElementById('syncNowBtn');
+var syncLogoutBtn = document.getElementById('syncLogoutBtn');
 
 var searchTabs = document.querySelectorAll('.search-tab');
 var searchInput = document.getElementById('searchInput');
@@ -38,6 +300,21 @@ var resultsGrid = document.getElementById('resultsGrid');
 var resultsCount = document.getElementById('resultsCount');
 var loader = document.getElementById('resultsLoader');
 var noResults = document.getElementById('noResults');
+var noResultsTitle = document.getElementById('noResultsTitle');
+var noResultsHint = document.getElementById('noResultsHint');
+var loadMoreBtn = document.getElementById('loadMoreBtn');
+var filterStatus = document.getElementById('filterStatus');
+var resetFiltersBtn = document.getElementById('resetFilters');
+var filterInputs = {
+    yearFrom: document.getElementById('filterYearFrom'),
+    yearTo: document.getElementById('filterYearTo'),
+    type: document.getElementById('filterType'),
+    minRating: document.getElementById('filterRating'),
+    runtimeMin: document.getElementById('filterRuntimeMin'),
+    runtimeMax: document.getElementById('filterRuntimeMax'),
+    genre: document.getElementById('filterGenre'),
+    sort: document.getElementById('filterSort')
+};
 
 var movieModal = document.getElementById('movieModal');
 var closeModalBtn = document.getElementById('closeModal');
@@ -45,17 +322,79 @@ var movieDetails = document.getElementById('movieDetailsContent');
 var similarSection = document.getElementById('similarMoviesSection');
 var similarGrid = document.getElementById('similarMoviesGrid');
 
+var watchlistPanel = document.querySelector('.watchlist-panel');
 var watchlistDiv = document.getElementById('watchlistContainer');
 var emptyWatchlist = document.getElementById('emptyWatchlist');
 var watchlistUl = document.getElementById('watchlistItems');
 var watchlistCountSpan = document.getElementById('watchlistCount');
+var listSelect = document.getElementById('listSelect');
+var newListBtn = document.getElementById('newListBtn');
+var renameListBtn = document.getElementById('renameListBtn');
+var deleteListBtn = document.getElementById('deleteListBtn');
+var listMenu = document.getElementById('listMenu');
+var exportJsonBtn = document.getElementById('exportJsonBtn');
+var exportCsvBtn = document.getElementById('exportCsvBtn');
+var importBtn = document.getElementById('importBtn');
+var importFileInput = document.getElementById('importFile');
+var importModal = document.getElementById('importModal');
+var importBody = document.getElementById('importBody');
+var importConfirmBtn = document.getElementById('importConfirm');
+var importCancelBtn = document.getElementById('importCancel');
+var shareBtn = document.getElementById('shareListBtn');
+var sharedModal = document.getElementById('sharedModal');
+var sharedBody = document.getElementById('sharedBody');
+var sharedTarget = document.getElementById('sharedTarget');
+var sharedCloseBtn = document.getElementById('sharedClose');
+var sharedSelectedBtn = document.getElementById('sharedImportSelected');
+var sharedAllBtn = document.getElementById('sharedImportAll');
 var runtimeDiv = document.getElementById('runtimeDisplay');
 var totalRuntimeSpan = document.getElementById('totalRuntime');
 
+var planModeTabs = document.querySelectorAll('.plan-mode-tab');
+var hoursMode = document.getElementById('hoursMode');
+var sessionsMode = document.getElementById('sessionsMode');
 var timeInput = document.getElementById('availableTime');
+var sessionListDiv = document.getElementById('sessionList');
+var addSessionBtn = document.getElementById('addSessionBtn');
+var breakInput = document.getElementById('breakMins');
+var goalSelect = document.getElementById('optimizeGoal');
+var ratingModeSelect = document.getElementById('ratingMode');
+var blendGroup = document.getElementById('blendGroup');
+var blendInput = document.getElementById('blendWeight');
 var optimizeBtn = document.getElementById('optimizeBtn');
+var compareBar = document.getElementById('compareBar');
+var compareCountSpan = document.getElementById('compareCount');
+var compareOpenBtn = document.getElementById('compareOpenBtn');
+var compareClearBtn = document.getElementById('compareClearBtn');
+var compareModal = document.getElementById('compareModal');
+var compareBody = document.getElementById('compareBody');
+var compareCloseBtn = document.getElementById('compareClose');
+var partyToggle = document.getElementById('partyToggle');
+var partyPanel = document.getElementById('partyPanel');
+var partyRuleSelect = document.getElementById('partyRule');
+var partyNameInput = document.getElementById('partyName');
+var addPersonBtn = document.getElementById('addPersonBtn');
+var partyPeopleDiv = document.getElementById('partyPeople');
+var partyTableDiv = document.getElementById('partyTable');
 var optimizeResults = document.getElementById('optimizationResults');
 
+var historyUl = document.getElementById('historyItems');
+var emptyHistory = document.getElementById('emptyHistory');
+var historyCountSpan = document.getElementById('historyCount');
+var watchedModal = document.getElementById('watchedModal');
+var watchedTitle = document.getElementById('watchedTitle');
+var watchedDate = document.getElementById('watchedDate');
+var watchedRating = document.getElementById('watchedRating');
+var watchedRatingValue = document.getElementById('watchedRatingValue');
+var watchedNote = document.getElementById('watchedNote');
+var watchedSaveBtn = document.getElementById('watchedSave');
+var watchedCancelBtn = document.getElementById('watchedCancel');
+
+var forYouBtn = document.getElementById('forYouBtn');
+var forYouSummary = document.getElementById('forYouSummary');
+var forYouGrid = document.getElementById('forYouGrid');
+var resetDismissedBtn = document.getElementById('resetDismissed');
+
 var toastDiv = document.getElementById('toastContainer');
 
 // helper functions
@@ -70,10 +409,90 @@ function saveKey(name, val) {
     localStorage.setItem(name, val);
 }
 
-// check if api keys exist
+// check if api keys exist - with the proxy on, the keys live on the server
 function hasApiKeys() {
+    if (proxySettings.enabled) return true;
     var key = getKey(OMDB_KEY);
-    return key && key.trim() !== '';
+    return !!(key && key.trim() !== '');
+}
+
+// PROXY MODE
+// proxy.js holds the keys and forwards omdb / gemini calls, so the browser
+// never sends a key anywhere (no keys in urls, devtools or server logs)
+
+function loadProxySettings() {
+    var saved = localStorage.getItem(PROXY_KEY);
+    if (saved) {
+        try {
+            proxySettings = Object.assign(proxySettings, JSON.parse(saved));
+        } catch (e) {
+            console.error('proxy settings load error:', e);
+        }
+    }
+}
+
+function saveProxySettings() {
+    localStorage.setItem(PROXY_KEY, JSON.stringify(proxySettings));
+}
+
+// no url means the proxy is also serving the app, so same origin
+function proxyBase(url) {
+    if (url === undefined) url = proxySettings.url;
+    return (url || '').replace(/\/+$/, '');
+}
+
+// where an omdb request goes - the proxy adds the key itself
+function omdbUrl(params, key) {
+    if (proxySettings.enabled) return proxyBase() + '/omdb?' + params;
+    if (key === undefined) key = getKey(OMDB_KEY);
+    return OMDB_URL + '?apikey=' + encodeURIComponent(key || '') + '&' + params;
+}
+
+// gemini takes its key as a header, which keeps it out of the url
+function geminiHeaders(key) {
+    var headers = { 'Content-Type': 'application/json' };
+    if (!proxySettings.enabled && key) headers['x-goog-api-key'] = key;
+    return headers;
+}
+
+// SAFE RENDERING
+// views are built as html strings, so anything from omdb, the ai, imports or
+// the user goes through these first - a title can have < or " in it
+
+const htmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// safe as text and inside quoted attribute values
+function escapeHtml(val) {
+    if (val === null || val === undefined) return '';
+    return String(val).replace(/[&<>"']/g, function (c) { return htmlEscapes[c]; });
+}
+
+// only absolute http(s) urls, so no javascript: or data: in a src or href
+function safeUrl(url) {
+    if (!url || typeof url !== 'string') return '';
+    try {
+        var parsed = new URL(url);
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+// poster image, or the placeholder when there's no usable url
+// decorative when the title is right next to it, so screen readers don't say it twice
+function posterHtml(movie, decorative) {
+    var url = safeUrl(movie.Poster);
+    return url
+        ? '<img src="' + escapeHtml(url) + '" alt="' + (decorative ? '' : escapeHtml(movie.Title)) + '">'
+        : '<div class="no-poster">🎬</div>';
+}
+
+// element with plain text in it, for when there's no markup at all
+function textEl(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    node.textContent = text;
+    return node;
 }
 
 // show a toast message
@@ -89,7 +508,10 @@ function toast(msg, type) {
 
     var t = document.createElement('div');
     t.className = 'toast toast-' + type;
-    t.innerHTML = '<span class="toast-icon">' + icons[type] + '</span><span class="toast-message">' + msg + '</span>';
+    // the container is a polite live region, errors interrupt
+    if (type === 'error') t.setAttribute('role', 'alert');
+    t.appendChild(textEl('span', 'toast-icon', icons[type] || icons.info));
+    t.appendChild(textEl('span', 'toast-message', msg));
 
     toastDiv.appendChild(t);
 
@@ -133,66 +555,452 @@ function debounce(fn, delay) {
     };
 }
 
+// run fn over every item, but only a few at a time
+// used when we need omdb details for a bunch of movies
+async function mapLimit(list, limit, fn) {
+    var results = new Array(list.length);
+    var next = 0;
+
+    async function worker() {
+        while (next < list.length) {
+            var i = next++;
+            results[i] = await fn(list[i], i);
+        }
+    }
+
+    var workers = [];
+    for (var i = 0; i < Math.min(limit, list.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+// save some text as a file through a temporary link
+function downloadFile(name, text, type) {
+    var blob = new Blob([text], { type: type });
+    var a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(function () { URL.revokeObjectURL(a.href); }, 1000);
+}
+
+// RESPONSE CACHE
+// omdb responses are saved in indexeddb so we don't use up the daily quota
+// if the network is down we fall back to old entries instead of failing
+
+function loadCacheSettings() {
+    var saved = localStorage.getItem(CACHE_SETTINGS_KEY);
+    if (saved) {
+        try {
+            cacheSettings = Object.assign({}, cacheDefaults, JSON.parse(saved));
+        } catch (e) {
+            console.error('cache settings load error:', e);
+        }
+    }
+}
+
+function saveCacheSettings() {
+    localStorage.setItem(CACHE_SETTINGS_KEY, JSON.stringify(cacheSettings));
+}
+
+// how long an entry of this kind stays fresh, in ms
+function cacheTtl(kind) {
+    return (cacheSettings[kind] || 0) * 3600000;
+}
+
+function openCache() {
+    if (cacheDbPromise) return cacheDbPromise;
+
+    cacheDbPromise = new Promise(function (resolve) {
+        if (!window.indexedDB) {
+            resolve(null);
+            return;
+        }
+
+        var req = indexedDB.open(CACHE_DB, 1);
+        req.onupgradeneeded = function () {
+            var store = req.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+            store.createIndex('lastUsed', 'lastUsed');
+        };
+        req.onsuccess = function () { resolve(req.result); };
+        req.onerror = function () {
+            // private mode etc - just run without a cache
+            console.error('cache open error:', req.error);
+            resolve(null);
+        };
+    });
+
+    return cacheDbPromise;
+}
+
+// wraps one indexeddb request in a promise
+// fn gets the object store and returns a request
+async function cacheRequest(mode, fn) {
+    var db = await openCache();
+    if (!db) return null;
+
+    return new Promise(function (resolve) {
+        var store = db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE);
+        var req = fn(store);
+        req.onsuccess = function () { resolve(req.result); };
+        req.onerror = function () {
+            console.error('cache error:', req.error);
+            resolve(null);
+        };
+    });
+}
+
+async function cacheGet(key) {
+    var entry = await cacheRequest('readonly', function (store) {
+        return store.get(key);
+    });
+
+    if (entry) {
+        // remember it was used so eviction keeps it longer
+        entry.lastUsed = Date.now();
+        cacheRequest('readwrite', function (store) { return store.put(entry); });
+    }
+    return entry || null;
+}
+
+async function cacheSet(key, kind, data) {
+    var size = JSON.stringify(data).length;
+    var old = await cacheRequest('readonly', function (store) { return store.get(key); });
+
+    await cacheRequest('readwrite', function (store) {
+        return store.put({ key: key, kind: kind, data: data, time: Date.now(), lastUsed: Date.now(), size: size });
+    });
+
+    if (cacheBytes >= 0) {
+        cacheBytes += size - (old ? old.size : 0);
+    }
+    await evictCache();
+}
+
+async function getAllCached() {
+    var all = await cacheRequest('readonly', function (store) { return store.getAll(); });
+    return all || [];
+}
+
+// drop least recently used entries until we're under the size cap
+async function evictCache() {
+    if (cacheBytes < 0) {
+        var all = await getAllCached();
+        cacheBytes = all.reduce(function (sum, e) { return sum + e.size; }, 0);
+    }
+
+    var max = cacheSettings.maxMB * 1024 * 1024;
+    if (cacheBytes <= max) return;
+
+    var db = await openCache();
+    if (!db) return;
+
+    await new Promise(function (resolve) {
+        var tx = db.transaction(CACHE_STORE, 'readwrite');
+        var cursorReq = tx.objectStore(CACHE_STORE).index('lastUsed').openCursor();
+        cursorReq.onsuccess = function () {
+            var cursor = cursorReq.result;
+            if (!cursor || cacheBytes <= max) return;
+            cacheBytes -= cursor.value.size;
+            cursor.delete();
+            cursor.continue();
+        };
+        tx.oncomplete = resolve;
+        tx.onerror = function () {
+            console.error('cache evict error:', tx.error);
+            resolve();
+        };
+    });
+}
+
+async function clearCache() {
+    await cacheRequest('readwrite', function (store) { return store.clear(); });
+    cacheBytes = 0;
+    toast('Cache cleared', 'success');
+    renderCachePanel();
+}
+
+// shows or hides the "cached" badge in the header
+function setOffline(offline) {
+    cacheIndicator.classList.toggle('hidden', !offline);
+}
+
+// get something from omdb, going through the cache and the request queue
+// params is the query string without the api key, it's also the cache key
+// error replies come back with errorKind set, see omdbErrorKind()
+async function omdbFetch(params, kind) {
+    var entry = await cacheGet(params);
+    if (entry && Date.now() - entry.time < cacheTtl(kind)) {
+        return entry.data;
+    }
+
+    // the same request is already queued or running
+    if (!omdbInFlight[params]) {
+        omdbInFlight[params] = queueOmdb(params).finally(function () {
+            delete omdbInFlight[params];
+        });
+    }
+
+    var data;
+    try {
+        // everyone sharing the request gets their own copy to write scores onto
+        data = structuredClone(await omdbInFlight[params]);
+    } catch (err) {
+        if (!entry) {
+            reportOmdbError('network');
+            throw err;
+        }
+
+        // network is down, old data is better than nothing
+        console.log('serving stale cache for', params);
+        setOffline(true);
+        entry.data.cachedAt = entry.time;
+        return entry.data;
+    }
+
+    setOffline(false);
+
+    // only keep real answers, not errors like a bad key or the request limit
+    if (data.Response === 'True') {
+        cacheSet(params, kind, data);
+        return data;
+    }
+
+    var errorKind = omdbErrorKind(data.Error);
+    if (errorKind === 'limit' && entry) {
+        entry.data.cachedAt = entry.time;
+        reportOmdbError('limit');
+        return entry.data;
+    }
+    if (errorKind !== 'not-found') reportOmdbError(errorKind);
+
+    data.errorKind = errorKind;
+    return data;
+}
+
+// sort omdb's Error text into something we can act on
+function omdbErrorKind(message) {
+    var msg = (message || '').toLowerCase();
+    if (msg.indexOf('api key') !== -1) return 'invalid-key';
+    if (msg.indexOf('limit') !== -1) return 'limit';
+    if (msg.indexOf('not found') !== -1 || msg.indexOf('incorrect imdb id') !== -1) return 'not-found';
+    if (msg.indexOf('too many') !== -1) return 'too-many';
+    return 'other';
+}
+
+// toast what went wrong, once every few seconds per kind
+// a bad key also brings the key popup back
+function reportOmdbError(kind) {
+    if (Date.now() - (omdbReported[kind] || 0) < 5000) return;
+    omdbReported[kind] = Date.now();
+
+    toast(omdbErrorText[kind] || omdbErrorText.other, kind === 'limit' ? 'warning' : 'error');
+    if (kind === 'invalid-key') showApiModal();
+}
+
+function queueOmdb(params) {
+    return new Promise(function (resolve, reject) {
+        omdbQueue.push({ params: params, resolve: resolve, reject: reject });
+        runOmdbQueue();
+    });
+}
+
+// start waiting requests while there are free slots
+function runOmdbQueue() {
+    while (omdbActive < OMDB_CONCURRENCY && omdbQueue.length > 0) {
+        var job = omdbQueue.shift();
+        omdbActive++;
+        requestOmdb(job.params)
+            .then(job.resolve, job.reject)
+            .finally(function () {
+                omdbActive--;
+                runOmdbQueue();
+            });
+    }
+}
+
+// one request, retried with backoff when the network or omdb's server hiccups
+// bad keys, the limit, not found and a proxy without a key aren't retried, they won't change
+async function requestOmdb(params) {
+    for (var attempt = 0; ; attempt++) {
+        if (quotaUsedUp()) {
+            return { Response: 'False', Error: 'Request limit reached!' };
+        }
+        countRequest();
+
+        var data = null;
+        var status = 0;
+        try {
+            var resp = await fetch(omdbUrl(params));
+            status = resp.status;
+            data = await resp.json().catch(function () { return null; });
+        } catch (err) {
+            if (attempt >= OMDB_RETRIES) throw err;
+        }
+
+        // the proxy says 503 with a reason when it has no key - retrying won't help
+        var noKey = status === 503 && data && data.Response === 'False';
+        var transient = !noKey && (!data || status === 429 || status >= 500 ||
+            (data.Response === 'False' && omdbErrorKind(data.Error) === 'other'));
+
+        if (data && data.Response === 'False' && omdbErrorKind(data.Error) === 'limit') {
+            quota.limited = true;
+            saveQuota();
+        }
+        if (!transient) return data;
+        if (attempt >= OMDB_RETRIES) {
+            if (data) return data;
+            throw new Error('omdb sent back ' + status);
+        }
+
+        // 0.5s, 1s, 2s... with a bit of jitter so parallel retries spread out
+        await wait(OMDB_BACKOFF * Math.pow(2, attempt) + Math.random() * 200);
+    }
+}
+
+function wait(ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+// DAILY QUOTA
+// omdb's free keys get 1000 requests a day, counted here per local day
+
+function loadQuota() {
+    var saved = localStorage.getItem(QUOTA_KEY);
+    if (saved) {
+        try {
+            quota = JSON.parse(saved);
+        } catch (e) {
+            console.error('quota load error:', e);
+        }
+    }
+}
+
+function saveQuota() {
+    localStorage.setItem(QUOTA_KEY, JSON.stringify(quota));
+}
+
+// start a fresh count when the day changes
+function quotaToday() {
+    var today = dateValue(new Date());
+    if (quota.day !== today) {
+        quota = { day: today, count: 0, limited: false };
+    }
+    return quota;
+}
+
+function quotaUsedUp() {
+    return quotaToday().limited;
+}
+
+function countRequest() {
+    var q = quotaToday();
+    q.count++;
+    saveQuota();
+
+    if (q.count === Math.floor(OMDB_DAILY_QUOTA * 0.9)) {
+        toast('You\'ve used ' + q.count + ' of about ' + OMDB_DAILY_QUOTA + ' OMDB requests today', 'warning');
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / 1024 / 1024).toFixed(2) + ' MB';
+}
+
+// how long ago, roughly
+function formatAge(time) {
+    var mins = Math.round((Date.now() - time) / 60000);
+    if (mins < 60) return mins + ' min ago';
+    if (mins < 60 * 24) return Math.round(mins / 60) + 'h ago';
+    return Math.round(mins / 60 / 24) + 'd ago';
+}
+
+// fill the cache part of the settings modal
+async function renderCachePanel() {
+    for (var i = 0; i < cacheInputs.length; i++) {
+        cacheInputs[i].value = cacheSettings[cacheInputs[i].dataset.setting];
+    }
+
+    var all = await getAllCached();
+    cacheBytes = all.reduce(function (sum, e) { return sum + e.size; }, 0);
+
+    var kinds = { search: 0, details: 0, similar: 0 };
+    var stale = 0;
+    for (var i = 0; i < all.length; i++) {
+        kinds[all[i].kind] = (kinds[all[i].kind] || 0) + 1;
+        if (Date.now() - all[i].time >= cacheTtl(all[i].kind)) stale++;
+    }
+
+    var q = quotaToday();
+    cacheStatsDiv.innerHTML = '<div class="cache-stat"><strong>' + all.length + '</strong><span>entries</span></div>' +
+        '<div class="cache-stat"><strong>' + formatBytes(cacheBytes) + '</strong><span>of ' + cacheSettings.maxMB + ' MB</span></div>' +
+        '<div class="cache-stat"><strong>' + stale + '</strong><span>expired</span></div>' +
+        '<div class="cache-stat"><strong>' + (q.limited ? 'limit hit' : q.count + ' / ' + OMDB_DAILY_QUOTA) + '</strong><span>requests today</span></div>' +
+        '<p class="form-help">' + kinds.search + ' searches, ' + kinds.details + ' movie details, ' + kinds.similar + ' similar lookups</p>';
+
+    // most recently used first
+    all.sort(function (a, b) { return b.lastUsed - a.lastUsed; });
+
+    var html = '';
+    for (var i = 0; i < Math.min(all.length, 50); i++) {
+        var e = all[i];
+        var label = e.data.Title || decodeURIComponent(e.key.replace(/^s=/, '').split('&')[0]);
+        html += '<li class="cache-entry">' +
+            '<span class="cache-entry-kind">' + escapeHtml(e.kind) + '</span>' +
+            '<span class="cache-entry-key">' + escapeHtml(label) + '</span>' +
+            '<span class="cache-entry-age">' + formatAge(e.time) + '</span>' +
+            '</li>';
+    }
+    cacheEntriesUl.innerHTML = html || '<li class="cache-entry">Cache is empty</li>';
+}
+
 // API FUNCTIONS
 
-// search for movies
-async function searchMovies(query, type) {
-    var apiKey = getKey(OMDB_KEY);
+// search for movies, one page (10 results) at a time
+// returns the movies plus omdb's total number of matches
+async function searchMovies(query, page) {
+    page = page || 1;
 
-    if (!apiKey) {
+    if (!hasApiKeys()) {
         toast('Please configure your OMDB API key first', 'error');
         showApiModal();
-        return [];
+        return { movies: [], total: 0 };
     }
 
     try {
-        var url = OMDB_URL + '?apikey=' + apiKey + '&s=' + encodeURIComponent(query) + '&type=movie';
-
-        var resp = await fetch(url);
-        var data = await resp.json();
+        var data = await omdbFetch('s=' + encodeURIComponent(query) + filterParams() + '&page=' + page, 'search');
 
         if (data.Response === 'True') {
-            // if actor search, filter by actor name
-            if (type === 'actor') {
-                var detailed = await Promise.all(
-                    data.Search.slice(0, 10).map(function (m) {
-                        return getMovieDetails(m.imdbID);
-                    })
-                );
-
-                var filtered = detailed.filter(function (m) {
-                    return m && m.Actors && m.Actors.toLowerCase().includes(query.toLowerCase());
-                });
-
-                return filtered.length > 0 ? filtered : data.Search;
-            }
-            return data.Search;
+            return { movies: data.Search, total: parseInt(data.totalResults) || 0 };
         } else {
             console.log('OMDB error:', data.Error);
-            return [];
+            return { movies: [], total: 0, error: data.errorKind };
         }
     } catch (err) {
+        // omdbFetch has already told the user
         console.error('search error:', err);
-        toast('Failed to search movies', 'error');
-        return [];
+        return { movies: [], total: 0, error: 'network' };
     }
 }
 
 // get movie details by id
 async function getMovieDetails(id) {
-    var apiKey = getKey(OMDB_KEY);
-
-    if (!apiKey) {
+    if (!hasApiKeys()) {
         toast('Please configure your OMDB API key', 'error');
         return null;
     }
 
     try {
-        var url = OMDB_URL + '?apikey=' + apiKey + '&i=' + id + '&plot=full';
-        var resp = await fetch(url);
-        var data = await resp.json();
+        var data = await omdbFetch('i=' + id + '&plot=full', 'details');
 
         if (data.Response === 'True') {
+            indexPeople(data);
             return data;
         }
         return null;
@@ -202,41 +1010,64 @@ async function getMovieDetails(id) {
     }
 }
 
-// find similar movies based on genre
-async function getSimilarMovies(genre, year, excludeId) {
-    var apiKey = getKey(OMDB_KEY);
-    if (!apiKey || !genre) return [];
+// look up a single movie by title (and year if we have it)
+// used when importing lists that don't have imdb ids
+async function findMovieByTitle(title, year) {
+    if (!hasApiKeys() || !title) return null;
 
     try {
-        // get first genre
-        var mainGenre = genre.split(',')[0].trim();
-
-        // map genres to search keywords
-        var keywords = {
-            'Action': ['action', 'adventure', 'thriller'],
-            'Comedy': ['comedy', 'funny', 'humor'],
-            'Drama': ['drama', 'emotional', 'story'],
-            'Horror': ['horror', 'scary', 'thriller'],
-            'Sci-Fi': ['space', 'future', 'robot'],
-            'Romance': ['love', 'romance', 'romantic'],
-            'Thriller': ['thriller', 'suspense', 'mystery'],
-            'Animation': ['animation', 'animated', 'cartoon']
-        };
+        var params = 't=' + encodeURIComponent(title) + '&type=movie';
+        var data = await omdbFetch(params + (year ? '&y=' + year : ''), 'details');
+
+        // the year is sometimes off by one between sites, try without it
+        if (data.Response !== 'True' && year) {
+            data = await omdbFetch(params, 'details');
+        }
+        return data.Response === 'True' ? data : null;
+    } catch (err) {
+        console.error('title lookup error:', err);
+        return null;
+    }
+}
 
-        var searchTerms = keywords[mainGenre] || [mainGenre.toLowerCase()];
+// find similar movies - gathers candidates from omdb searches, loads their
+// details and ranks them with scoreSimilarity()
+async function getSimilarMovies(source) {
+    if (!hasApiKeys() || !source.Genre) return [];
 
-        // search for each keyword
-        var promises = searchTerms.map(function (kw) {
-            return fetch(OMDB_URL + '?apikey=' + apiKey + '&s=' + kw + '&type=movie')
-                .then(function (r) { return r.json(); });
-        });
+    try {
+        var genres = splitList(source.Genre).slice(0, 3);
+        var year = parseInt(source.Year);
+        // series get similar series
+        var type = source.Type === 'series' ? 'series' : 'movie';
+
+        // one search term per genre, plus the main genre around the same year
+        var searches = [];
+        for (var i = 0; i < genres.length; i++) {
+            var term = (similarKeywords[genres[i]] || [genres[i].toLowerCase()])[0];
+            searches.push('s=' + encodeURIComponent(term) + '&type=' + type);
+        }
+        if (year) {
+            var mainTerm = (similarKeywords[genres[0]] || [genres[0].toLowerCase()])[0];
+            searches.push('s=' + encodeURIComponent(mainTerm) + '&type=' + type + '&y=' + year);
+        }
 
-        var results = await Promise.all(promises);
+        var results = await Promise.all(searches.map(function (params) {
+            return omdbFetch(params, 'similar');
+        }));
 
-        // combine results and remove duplicates
-        var allMovies = [];
+        // same director / cast first - genre searches almost never turn those up
         var seen = {};
-        seen[excludeId] = true;
+        seen[source.imdbID] = true;
+        var fromPeople = [];
+        peopleCandidates(source, type).forEach(function (m) {
+            if (seen[m.imdbID] || fromPeople.length >= SIMILAR_PEOPLE_CANDIDATES) return;
+            seen[m.imdbID] = true;
+            fromPeople.push(m);
+        });
+
+        // combine results and remove duplicates
+        var candidates = [];
 
         for (var i = 0; i < results.length; i++) {
             var r = results[i];
@@ -245,124 +1076,521 @@ async function getSimilarMovies(genre, year, excludeId) {
                     var m = r.Search[j];
                     if (!seen[m.imdbID]) {
                         seen[m.imdbID] = true;
-                        allMovies.push(m);
+                        candidates.push(m);
                     }
                 }
             }
         }
 
-        return allMovies.slice(0, 6);
+        // details cost a request each, so only look at the ones closest in year
+        if (year) {
+            candidates.sort(function (a, b) {
+                return Math.abs(parseInt(a.Year) - year) - Math.abs(parseInt(b.Year) - year);
+            });
+        }
+        candidates = fromPeople.concat(candidates.slice(0, SIMILAR_CANDIDATES - fromPeople.length));
+
+        var detailed = await mapLimit(candidates, 3, function (m) {
+            return getMovieDetails(m.imdbID);
+        });
+
+        var scored = [];
+        for (var i = 0; i < detailed.length; i++) {
+            if (!detailed[i]) continue;
+            var m = detailed[i];
+            m.similarity = scoreSimilarity(source, m);
+            scored.push(m);
+        }
+
+        // all of them, best first - showSimilar picks what gets shown
+        scored.sort(function (a, b) { return b.similarity.score - a.similarity.score; });
+        return scored;
     } catch (err) {
         console.error('similar movies error:', err);
         return [];
     }
 }
 
-// use gemini to get keywords from mood text
-async function getMoodKeywords(text) {
-    var apiKey = getKey(GEMINI_KEY);
+// other movies by the source's director and top-billed actors that the people
+// index knows about, director's first
+function peopleCandidates(source, type) {
+    var ids = [];
+    var add = function (name, role) {
+        var person = peopleIndex.people[personKey(name)];
+        if (person) ids = ids.concat(person[role]);
+    };
+    splitList(source.Director).forEach(function (name) { add(name, 'directed'); });
+    splitList(source.Actors).slice(0, SIMILAR_CAST).forEach(function (name) { add(name, 'acted'); });
 
-    if (!apiKey) {
-        toast('Gemini API not configured, using basic search', 'warning');
-        return basicKeywords(text);
-    }
+    return ids.map(function (id) { return peopleIndex.movies[id]; }).filter(function (m) {
+        return m && m.imdbID !== source.imdbID && (m.Type || 'movie') === type;
+    });
+}
 
-    try {
-        var prompt = 'You are a movie recommendation assistant. Based on the following mood description, suggest 2-3 specific movie search terms that would help find relevant movies. Return ONLY the search terms separated by commas, nothing else.\n\nMood: "' + text + '"\n\nYour response:';
-
-        var resp = await fetch(GEMINI_URL + '?key=' + apiKey, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: prompt }] }],
-                generationConfig: { temperature: 0.7, maxOutputTokens: 50 }
-            })
-        });
+// "Drama, Crime" -> ['Drama', 'Crime']
+function splitList(str) {
+    if (!str || str === 'N/A') return [];
+    return str.split(',').map(function (s) { return s.trim(); }).filter(function (s) { return s; });
+}
 
-        var data = await resp.json();
+// items that are in both lists
+function sharedItems(a, b) {
+    return a.filter(function (x) { return b.indexOf(x) !== -1; });
+}
 
-        if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-            return data.candidates[0].content.parts[0].text.trim();
-        }
-        return basicKeywords(text);
-    } catch (err) {
-        console.error('gemini error:', err);
-        toast('AI error, using basic keywords', 'warning');
-        return basicKeywords(text);
-    }
-}
-
-// backup keyword extraction if gemini fails
-function basicKeywords(text) {
-    var mapping = {
-        'funny': 'comedy', 'laugh': 'comedy', 'humor': 'comedy', 'light': 'comedy', 'happy': 'comedy',
-        'scary': 'horror', 'horror': 'horror', 'frightening': 'horror',
-        'thriller': 'thriller', 'suspense': 'thriller',
-        'exciting': 'action', 'action': 'action', 'adventure': 'adventure', 'thrilling': 'action',
-        'romantic': 'romance', 'love': 'romance', 'romance': 'romance',
-        'emotional': 'drama', 'drama': 'drama', 'sad': 'drama', 'cry': 'drama',
-        'sci-fi': 'sci-fi', 'space': 'sci-fi', 'future': 'sci-fi',
-        'animated': 'animation', 'cartoon': 'animation', 'family': 'family', 'kids': 'family',
-        'documentary': 'documentary', 'mystery': 'mystery', 'crime': 'crime',
-        'war': 'war', 'historical': 'history', 'fantasy': 'fantasy', 'magic': 'fantasy'
-    };
+// how alike two movies are, plus the reasons to show on the card
+// see similarWeights for how much each part counts
+function scoreSimilarity(source, movie) {
+    var score = 0;
+    var reasons = [];
+
+    var genresA = splitList(source.Genre);
+    var genresB = splitList(movie.Genre);
+    var sameGenres = sharedItems(genresA, genresB);
+    var allGenres = genresA.length + genresB.length - sameGenres.length;
+    if (allGenres > 0) {
+        score += similarWeights.genre * sameGenres.length / allGenres;
+    }
+    if (sameGenres.length > 0 && sameGenres.length === allGenres) {
+        reasons.push('same genres');
+    } else if (sameGenres.length > 0) {
+        reasons.push(sameGenres.length === 1 ? 'also ' + sameGenres[0] : sameGenres.length + ' shared genres');
+    }
 
-    var words = text.toLowerCase().split(/\s+/);
-    var genres = [];
+    if (sharedItems(splitList(source.Director), splitList(movie.Director)).length > 0) {
+        score += similarWeights.director;
+        reasons.unshift('same director');
+    }
 
-    for (var i = 0; i < words.length; i++) {
-        var w = words[i];
-        for (var key in mapping) {
-            if (w.includes(key) && genres.indexOf(mapping[key]) === -1) {
-                genres.push(mapping[key]);
-            }
-        }
+    var sameCast = sharedItems(splitList(source.Actors), splitList(movie.Actors));
+    if (sameCast.length > 0) {
+        score += similarWeights.actor * sameCast.length;
+        reasons.splice(reasons[0] === 'same director' ? 1 : 0, 0,
+            sameCast.length === 1 ? 'also stars ' + sameCast[0] : sameCast.length + ' shared actors');
     }
 
-    return genres.length > 0 ? genres.join(', ') : 'popular';
-}
+    var yearA = parseInt(source.Year);
+    var yearB = parseInt(movie.Year);
+    if (yearA && yearB) {
+        var gap = Math.abs(yearA - yearB);
+        score += similarWeights.year * Math.max(0, 1 - gap / 20);
+        if (gap <= 3) reasons.push(gap === 0 ? 'same year' : 'same era');
+    }
 
-// SEARCH HANDLING
+    var rating = parseFloat(movie.imdbRating);
+    if (!isNaN(rating)) {
+        score += similarWeights.rating * rating / 10;
+        if (rating >= 7.5) reasons.push('rated ' + movie.imdbRating);
+    }
 
-async function doSearch() {
-    var query = searchInput.value.trim();
+    var langs = sharedItems(splitList(source.Language), splitList(movie.Language));
+    if (langs.length > 0) {
+        score += similarWeights.language;
+        if (langs[0] !== 'English') reasons.push('also in ' + langs[0]);
+    }
 
-    if (!query) {
-        toast('Please enter something to search', 'warning');
-        return;
+    if (sharedItems(splitList(source.Country), splitList(movie.Country)).length > 0) {
+        score += similarWeights.country;
     }
 
-    showLoader();
-    var results = [];
+    return { score: score, reasons: reasons.slice(0, 3) };
+}
+
+// MOOD AI
+// the mood text goes to whichever provider is picked in settings and comes
+// back as { genres, keywords, yearFrom, yearTo, maxRuntime, avoid }
+
+// every provider takes a prompt and resolves to the reply text
+const llmProviders = {
+    gemini: {
+        label: 'Google Gemini',
+        ready: function () { return proxySettings.enabled ? proxySettings.gemini : !!getKey(GEMINI_KEY); },
+        complete: geminiComplete
+    },
+    openai: {
+        label: 'OpenAI-compatible API',
+        ready: function () { return !!(llmSettings.url && llmSettings.key); },
+        complete: openaiComplete
+    },
+    local: {
+        label: 'Local server',
+        ready: function () { return !!llmSettings.url; },
+        complete: openaiComplete
+    }
+};
+
+function loadLlmSettings() {
+    var saved = localStorage.getItem(LLM_SETTINGS_KEY);
+    if (saved) {
+        try {
+            llmSettings = Object.assign({}, llmDefaults, JSON.parse(saved));
+        } catch (e) {
+            console.error('llm settings load error:', e);
+        }
+    }
+    if (!llmProviders[llmSettings.provider]) llmSettings.provider = llmDefaults.provider;
+}
+
+function saveLlmSettings() {
+    localStorage.setItem(LLM_SETTINGS_KEY, JSON.stringify(llmSettings));
+}
+
+function currentProvider() {
+    return llmProviders[llmSettings.provider];
+}
+
+async function geminiComplete(prompt) {
+    var resp = await fetch(proxySettings.enabled ? proxyBase() + '/gemini' : GEMINI_URL, {
+        method: 'POST',
+        headers: geminiHeaders(getKey(GEMINI_KEY)),
+        body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: { temperature: 0.3, maxOutputTokens: 300, responseMimeType: 'application/json' }
+        })
+    });
+    var data = await resp.json();
+
+    if (data.candidates && data.candidates[0] && data.candidates[0].content) {
+        return data.candidates[0].content.parts[0].text;
+    }
+    throw new Error('no reply from gemini');
+}
+
+// openai, openrouter, ollama, llama.cpp and lm studio all take this format
+async function openaiComplete(prompt) {
+    var url = llmSettings.url.replace(/\/+$/, '');
+    if (!/\/chat\/completions$/.test(url)) url += '/chat/completions';
+
+    var headers = { 'Content-Type': 'application/json' };
+    if (llmSettings.provider === 'openai' && llmSettings.key) {
+        headers.Authorization = 'Bearer ' + llmSettings.key;
+    }
+
+    var body = {
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.3
+    };
+    if (llmSettings.model) body.model = llmSettings.model;
+
+    var resp = await fetch(url, { method: 'POST', headers: headers, body: JSON.stringify(body) });
+    if (!resp.ok) throw new Error('llm server said ' + resp.status);
+
+    var data = await resp.json();
+    if (data.choices && data.choices[0] && data.choices[0].message) {
+        return data.choices[0].message.content;
+    }
+    throw new Error('no reply from llm server');
+}
+
+// genre names from the filter bar, so the ai only picks ones omdb uses
+function knownGenres() {
+    var genres = [];
+    for (var i = 0; i < filterInputs.genre.options.length; i++) {
+        if (filterInputs.genre.options[i].value) genres.push(filterInputs.genre.options[i].value);
+    }
+    return genres;
+}
+
+function moodPrompt(text) {
+    return 'You are a movie recommendation assistant. Turn the mood description below into search settings for a movie database.\n' +
+        'Reply with ONLY a JSON object in this format:\n' +
+        '{"genres": ["Comedy"], "keywords": ["christmas", "family"], "yearFrom": 1990, "yearTo": 1999, "maxRuntime": 120, "avoid": ["Horror", "violence"]}\n\n' +
+        '- genres: up to 3 from this list: ' + knownGenres().join(', ') + '\n' +
+        '- keywords: 2-3 short words that would appear in matching movie titles\n' +
+        '- yearFrom, yearTo: release years, or null if the mood doesn\'t mention a time\n' +
+        '- maxRuntime: longest runtime in minutes, or null\n' +
+        '- avoid: genres or themes the person does not want, [] if none\n\n' +
+        'Mood: "' + text + '"';
+}
+
+// ask the ai what the mood means, falls back to the offline parser
+async function getMood(text) {
+    var provider = currentProvider();
+
+    if (!provider.ready()) {
+        toast(provider.label + ' not configured, using offline mood search', 'warning');
+        return parseMood(text);
+    }
+
+    try {
+        var reply = await provider.complete(moodPrompt(text));
+        var mood = validateMood(parseMoodReply(reply), knownGenres());
+        if (mood) return mood;
+
+        toast('AI reply didn\'t make sense, using offline mood search', 'warning');
+        return parseMood(text);
+    } catch (err) {
+        console.error('mood ai error:', err);
+        toast('AI error, using offline mood search', 'warning');
+        return parseMood(text);
+    }
+}
+
+// does the mood rule this movie out? only checks what the movie has data for
+function passesMood(m, mood) {
+    var year = parseInt(m.Year);
+    if (mood.yearFrom && year && year < mood.yearFrom) return false;
+    if (mood.yearTo && year && year > mood.yearTo) return false;
+
+    var runtime = parseTime(m.Runtime);
+    if (mood.maxRuntime && runtime > mood.maxRuntime) return false;
+
+    var genres = splitList(m.Genre).map(function (g) { return g.toLowerCase(); });
+    if (mood.genres.length && genres.length) {
+        var wanted = mood.genres.some(function (g) { return genres.indexOf(g.toLowerCase()) !== -1; });
+        if (!wanted) return false;
+    }
+
+    // avoid words can be genres or themes, so look in the plot and title too
+    var text = (m.Title || '') + ' ' + (m.Plot || '');
+    for (var i = 0; i < mood.avoid.length; i++) {
+        var word = mood.avoid[i].toLowerCase();
+        if (genres.indexOf(word) !== -1 || moodMentions(text, word)) return false;
+    }
+    return true;
+}
+
+// sum of the mood's genre weights for this movie's genres
+function moodScore(m, mood) {
+    return splitList(m.Genre).reduce(function (sum, g) {
+        return sum + (mood.weights[g] || 0);
+    }, 0);
+}
+
+// genre, runtime and avoid need the full details
+function moodNeedsDetails(mood) {
+    return mood.genres.length > 0 || mood.maxRuntime > 0 || mood.avoid.length > 0;
+}
+
+// "1990-1999 · under 120 min · no Horror"
+function moodSummary(mood) {
+    var parts = [];
+    if (mood.genres.length) parts.push(mood.genres.join('/'));
+    if (mood.yearFrom || mood.yearTo) parts.push((mood.yearFrom || '') + '–' + (mood.yearTo || ''));
+    if (mood.maxRuntime) parts.push('under ' + mood.maxRuntime + ' min');
+    if (mood.avoid.length) parts.push('no ' + mood.avoid.join(', '));
+    return parts.join(' · ');
+}
+
+// PEOPLE INDEX
+// omdb has no way to search for a person, so every details payload we load
+// adds its cast and director here and actor search looks in this instead
+
+function loadPeopleIndex() {
+    var saved = localStorage.getItem(PEOPLE_KEY);
+    if (saved) {
+        try {
+            peopleIndex = JSON.parse(saved);
+        } catch (e) {
+            console.error('people index load error:', e);
+        }
+    }
+    if (!peopleIndex.people || !peopleIndex.movies) {
+        peopleIndex = { people: {}, movies: {} };
+    }
+
+    // first run - fill it from details that are already cached
+    if (Object.keys(peopleIndex.movies).length === 0) seedPeopleIndex();
+}
+
+// cached details the index doesn't have yet - all of them on the first run,
+// or ones it forgot to stay under the cap
+async function seedPeopleIndex() {
+    var all = await getAllCached();
+    for (var i = 0; i < all.length; i++) {
+        var data = all[i].data;
+        if (all[i].kind === 'details' && data && data.Response === 'True' && !peopleIndex.movies[data.imdbID]) {
+            indexPeople(data);
+        }
+    }
+}
+
+// drop the movies indexed longest ago (keys keep the order they went in),
+// and anyone left without a movie
+function prunePeopleIndex(max) {
+    var ids = Object.keys(peopleIndex.movies);
+    if (ids.length <= max) return;
+
+    ids.slice(0, ids.length - max).forEach(function (id) { delete peopleIndex.movies[id]; });
+    for (var k in peopleIndex.people) {
+        var person = peopleIndex.people[k];
+        person.acted = person.acted.filter(function (id) { return peopleIndex.movies[id]; });
+        person.directed = person.directed.filter(function (id) { return peopleIndex.movies[id]; });
+        if (person.acted.length + person.directed.length === 0) delete peopleIndex.people[k];
+    }
+}
+
+// lots of details load at once, so don't write on every one
+// if storage is full, keep half as many movies and try once more
+var savePeopleIndex = debounce(function () {
+    prunePeopleIndex(PEOPLE_MAX_MOVIES);
+    try {
+        localStorage.setItem(PEOPLE_KEY, JSON.stringify(peopleIndex));
+    } catch (e) {
+        console.error('people index save error:', e);
+        prunePeopleIndex(Math.floor(Object.keys(peopleIndex.movies).length / 2));
+        try {
+            localStorage.setItem(PEOPLE_KEY, JSON.stringify(peopleIndex));
+        } catch (e2) {
+            console.error('people index still too big to save:', e2);
+        }
+    }
+}, 1000);
+
+// "Tom  Hanks" -> "tom hanks"
+function personKey(name) {
+    return name.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function indexPeople(movie) {
+    if (!movie || !movie.imdbID) return;
+
+    // moved to the end, so it's the last to be pruned
+    delete peopleIndex.movies[movie.imdbID];
+    peopleIndex.movies[movie.imdbID] = {
+        imdbID: movie.imdbID,
+        Title: movie.Title,
+        Year: movie.Year,
+        Poster: movie.Poster,
+        Type: movie.Type,
+        Runtime: movie.Runtime,
+        Genre: movie.Genre,
+        imdbRating: movie.imdbRating
+    };
+
+    function add(name, role) {
+        var key = personKey(name);
+        var person = peopleIndex.people[key];
+        if (!person) {
+            person = peopleIndex.people[key] = { name: name, acted: [], directed: [] };
+        }
+        if (person[role].indexOf(movie.imdbID) === -1) {
+            person[role].push(movie.imdbID);
+        }
+    }
+
+    splitList(movie.Actors).forEach(function (name) { add(name, 'acted'); });
+    splitList(movie.Director).forEach(function (name) { add(name, 'directed'); });
+    savePeopleIndex();
+}
+
+// people whose name has every word of the query in it
+// exact is for the filmography links, where we know the full name
+function findPeople(query, exact) {
+    var key = personKey(query);
+    if (!key) return [];
+    if (exact) {
+        return peopleIndex.people[key] ? [peopleIndex.people[key]] : [];
+    }
+
+    var words = key.split(' ');
+    var found = [];
+    for (var k in peopleIndex.people) {
+        var parts = k.split(' ');
+        var match = words.every(function (w) {
+            return parts.some(function (p) { return p.indexOf(w) === 0; });
+        });
+        if (match) found.push(peopleIndex.people[k]);
+    }
+
+    // full name matches first, then whoever has the most movies
+    found.sort(function (a, b) {
+        var exactA = personKey(a.name) === key ? 1 : 0;
+        var exactB = personKey(b.name) === key ? 1 : 0;
+        return exactB - exactA || (b.acted.length + b.directed.length) - (a.acted.length + a.directed.length);
+    });
+    return found;
+}
+
+// every movie these people acted in or directed, newest first
+function peopleMovies(people) {
+    var list = [];
+    var seen = {};
+    for (var i = 0; i < people.length; i++) {
+        var ids = people[i].acted.concat(people[i].directed);
+        for (var j = 0; j < ids.length; j++) {
+            if (seen[ids[j]] || !peopleIndex.movies[ids[j]]) continue;
+            seen[ids[j]] = true;
+            list.push(peopleIndex.movies[ids[j]]);
+        }
+    }
+    list.sort(function (a, b) { return (parseInt(b.Year) || 0) - (parseInt(a.Year) || 0); });
+    return list;
+}
+
+// answered from the index, 10 at a time like omdb's pages so Load More works the same
+// nobody there - look through the cached details before giving up
+async function searchActor(query, page, exact) {
+    var people = findPeople(query, exact);
+    if (people.length === 0) {
+        await seedPeopleIndex();
+        people = findPeople(query, exact);
+    }
+
+    var all = peopleMovies(people);
+    return { movies: all.slice((page - 1) * 10, page * 10), total: all.length, people: people };
+}
+
+// filmography for a cast or director name in the movie popup
+// leaves the movie on the url history, so back goes to the movie again
+function showPerson(name) {
+    closeMovie(true);
+    setSearchType('actor');
+    searchInput.value = name;
+    pushRoute(personRoute(name));
+    runSearch('actor', name, true);
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// SEARCH HANDLING
+
+async function doSearch() {
+    var query = searchInput.value.trim();
+
+    if (!query) {
+        toast('Please enter something to search', 'warning');
+        return;
+    }
+
+    pushRoute(searchRoute(searchType, query));
+    await runSearch(searchType, query);
+}
+
+async function runSearch(type, query, exact) {
+    showLoader();
+    var results = [];
 
     try {
-        if (searchType === 'title') {
-            results = await searchMovies(query, 'title');
+        if (type === 'title') {
+            searchState = { type: type, query: query, page: 1, total: 0 };
+            var res = await searchMovies(query, 1);
+            searchState.total = res.total;
+            searchState.error = res.error;
+            results = res.movies;
         }
-        else if (searchType === 'actor') {
-            results = await searchMovies(query, 'actor');
+        else if (type === 'actor') {
+            searchState = { type: type, query: query, page: 1, total: 0, exact: !!exact, people: [] };
+            var res = await searchActor(query, 1, exact);
+            searchState.total = res.total;
+            searchState.people = res.people;
+            results = res.movies;
         }
-        else if (searchType === 'mood') {
+        else if (type === 'mood') {
             toast('Analyzing your mood...', 'info');
-            var kws = await getMoodKeywords(query);
-            console.log('mood keywords:', kws);
-
-            var kwList = kws.split(',').map(function (k) { return k.trim(); }).filter(function (k) { return k; });
-            var allResults = [];
-            var seenIds = {};
-
-            for (var i = 0; i < kwList.length; i++) {
-                var kwResults = await searchMovies(kwList[i], 'title');
-                for (var j = 0; j < kwResults.length; j++) {
-                    var m = kwResults[j];
-                    if (!seenIds[m.imdbID]) {
-                        seenIds[m.imdbID] = true;
-                        allResults.push(m);
-                    }
-                }
+            var mood = await getMood(query);
+            if (mood.keywords.length === 0) {
+                toast('Couldn\'t tell what you\'re in the mood for - try words like funny, scary or 90s', 'warning');
             }
 
-            results = allResults.slice(0, 20);
+            searchState = {
+                type: 'mood',
+                query: query,
+                mood: mood,
+                keywords: mood.keywords.map(function (k) { return { term: k, page: 0, total: Infinity }; }),
+                seen: {}
+            };
+
+            results = await moreMoodResults(searchState, MOOD_BATCH);
         }
 
         movies = results;
@@ -374,72 +1602,492 @@ async function doSearch() {
     }
 }
 
+// pulls the next page of every mood keyword at once (the request queue
+// keeps that polite) until there are enough new movies or every keyword
+// has run out of pages
+// gives up after a few rounds so lots of duplicates can't eat the quota
+async function moreMoodResults(state, count) {
+    var found = [];
+    var rounds = 0;
+
+    while (found.length < count && rounds < 5) {
+        rounds++;
+        var open = state.keywords.filter(function (k) {
+            return k.page * 10 < k.total && k.page < MAX_PAGES;
+        });
+        if (open.length === 0) break;
+
+        var pages = await Promise.all(open.map(function (kw) {
+            kw.page++;
+            return searchMovies(kw.term, kw.page);
+        }));
+
+        // keyword order, so the first keyword's movies still come first
+        for (var i = 0; i < open.length; i++) {
+            var res = pages[i];
+            open[i].total = res.total;
+            if (res.error && res.error !== 'not-found') state.error = res.error;
+
+            for (var j = 0; j < res.movies.length; j++) {
+                var m = res.movies[j];
+                if (!state.seen[m.imdbID]) {
+                    state.seen[m.imdbID] = true;
+                    found.push(m);
+                }
+            }
+        }
+    }
+
+    return found;
+}
+
+// can the current search give us more results?
+function hasMoreResults() {
+    if (!searchState) return false;
+
+    if (searchState.type === 'mood') {
+        return searchState.keywords.some(function (k) {
+            return k.page * 10 < k.total && k.page < MAX_PAGES;
+        });
+    }
+    return searchState.page * 10 < searchState.total && searchState.page < MAX_PAGES;
+}
+
+// familyHidden are the ones that passed the filters but family mode took out
+function updateResultsCount(shown, familyHidden) {
+    familyHidden = familyHidden || 0;
+    var loaded = movies.length;
+    var text;
+
+    if (!searchState) {
+        text = 'Found ' + loaded + ' movie' + (loaded !== 1 ? 's' : '');
+    } else if (searchState.type === 'actor') {
+        var names = searchState.people.map(function (p) { return p.name; });
+        text = names.length === 1
+            ? names[0] + ' · ' + loaded + ' known movie' + (loaded !== 1 ? 's' : '')
+            : 'Found ' + loaded + ' movie' + (loaded !== 1 ? 's' : '') + ' for ' + names.slice(0, 3).join(', ') +
+                (names.length > 3 ? ' and ' + (names.length - 3) + ' more' : '');
+    } else if (searchState.type === 'mood') {
+        var summary = moodSummary(searchState.mood);
+        text = 'Showing ' + loaded + ' movie' + (loaded !== 1 ? 's' : '') + ' for: ' +
+            searchState.keywords.map(function (k) { return k.term; }).join(', ') +
+            (summary ? ' · ' + summary : '');
+    } else {
+        text = 'Showing ' + loaded + ' of ' + searchState.total.toLocaleString() + ' movies';
+    }
+
+    if (shown + familyHidden < loaded) {
+        text += ' · ' + (loaded - shown - familyHidden) + ' hidden by filters';
+    }
+    if (familyHidden > 0) {
+        text += ' · ' + familyHiddenText(familyHidden);
+    }
+    resultsCount.textContent = text;
+}
+
+// get the next page for whatever search is on screen
+async function loadMore() {
+    if (!hasMoreResults() || loadMoreBtn.disabled) return;
+
+    var state = searchState;
+    loadMoreBtn.disabled = true;
+    loadMoreBtn.textContent = 'Loading...';
+
+    var more = [];
+    if (state.type === 'mood') {
+        more = await moreMoodResults(state, MOOD_BATCH);
+    } else if (state.type === 'actor') {
+        state.page++;
+        var res = await searchActor(state.query, state.page, state.exact);
+        state.total = res.total;
+        state.people = res.people;
+
+        more = res.movies.filter(function (m) {
+            return !movies.some(function (old) { return old.imdbID === m.imdbID; });
+        });
+    } else {
+        state.page++;
+        var res = await searchMovies(state.query, state.page);
+        state.total = res.total;
+
+        // omdb sometimes repeats a movie on the next page
+        more = res.movies.filter(function (m) {
+            return !movies.some(function (old) { return old.imdbID === m.imdbID; });
+        });
+    }
+
+    loadMoreBtn.disabled = false;
+    loadMoreBtn.textContent = 'Load More';
+
+    // a new search started while this was loading
+    if (state !== searchState) return;
+
+    movies = movies.concat(more);
+    applyFilters();
+}
+
 // display search results
 function showResults(movieList) {
     hideLoader();
 
     if (!movieList || movieList.length === 0) {
         resultsGrid.innerHTML = '';
+        if (searchState && searchState.error && searchState.error !== 'not-found') {
+            noResultsTitle.textContent = searchState.error === 'too-many' ? 'Too many matches' : 'Couldn\'t search OMDB';
+            noResultsHint.textContent = omdbErrorText[searchState.error] || omdbErrorText.other;
+        } else if (searchState && searchState.type === 'actor') {
+            noResultsTitle.textContent = 'No one called "' + searchState.query + '" found';
+            noResultsHint.textContent = 'Actor search only knows the cast and crew of movies loaded so far (' +
+                Object.keys(peopleIndex.people).length + ' people). Try their full name, or search for a movie they were in first.';
+        } else {
+            noResultsTitle.textContent = 'No movies found';
+            noResultsHint.textContent = 'Try a different search term or change the search type';
+        }
         noResults.classList.remove('hidden');
         resultsSection.classList.remove('hidden');
+        loadMoreBtn.classList.add('hidden');
+        filterStatus.classList.add('hidden');
         resultsCount.textContent = 'No results found';
         return;
     }
 
     noResults.classList.add('hidden');
     resultsSection.classList.remove('hidden');
-    resultsCount.textContent = 'Found ' + movieList.length + ' movie' + (movieList.length !== 1 ? 's' : '');
+    applyFilters();
+}
+
+// KEYBOARD
+// a card grid is one tab stop - arrows move between cards, Enter opens one, W
+// toggles it on the watchlist and C picks it for comparing. the popups keep focus inside until they close,
+// then hand it back to whatever opened them
+
+// the card you land on when tabbing into a grid is the last one used (or the first)
+function bindCardKeys(container, selector) {
+    var cards = container.querySelectorAll(selector);
+    for (var i = 0; i < cards.length; i++) {
+        cards[i].tabIndex = i === 0 ? 0 : -1;
+        cards[i].addEventListener('keydown', function (e) {
+            // keys on the watchlist button inside a card act on the button
+            if (e.target !== this) return;
+            cardKey(e, this, Array.prototype.slice.call(container.querySelectorAll(selector)));
+        });
+    }
+}
+
+function cardKey(e, card, cards) {
+    var idx = cards.indexOf(card);
+    var next = -1;
+    var cols = gridColumns(cards);
+
+    if (e.key === 'ArrowRight') next = idx + 1;
+    else if (e.key === 'ArrowLeft') next = idx - 1;
+    else if (e.key === 'ArrowDown') next = idx + cols;
+    else if (e.key === 'ArrowUp') next = idx - cols;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = cards.length - 1;
+    else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openMovie(card.dataset.imdbId);
+        return;
+    } else if ((e.key === 'w' || e.key === 'W') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        addToWatchlist(card.dataset.imdbId, card.querySelector('.add-watchlist-btn') || card);
+        return;
+    } else if ((e.key === 'c' || e.key === 'C') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        toggleCompare(card.dataset.imdbId);
+        return;
+    } else {
+        return;
+    }
+
+    e.preventDefault();
+    if (next < 0 || next >= cards.length) return;
+    card.tabIndex = -1;
+    cards[next].tabIndex = 0;
+    cards[next].focus();
+}
+
+// cards per row, from where they actually sit on screen
+function gridColumns(cards) {
+    var top = cards[0].getBoundingClientRect().top;
+    var cols = 0;
+    while (cols < cards.length && cards[cols].getBoundingClientRect().top === top) cols++;
+    return cols || 1;
+}
+
+// everything in a popup that can take focus right now
+function focusables(container) {
+    var els = container.querySelectorAll('a[href], button, input, select, textarea, summary, [tabindex]');
+    return Array.prototype.filter.call(els, function (el) {
+        return !el.disabled && el.tabIndex >= 0 && el.type !== 'hidden' && !el.closest('.hidden');
+    });
+}
+
+function openDialog(modal) {
+    if (!modal.classList.contains('active')) {
+        dialogStack.push({ modal: modal, returnTo: document.activeElement });
+    }
+    modal.classList.add('active');
+
+    // the movie popup is still loading, so it gets the dialog itself until then
+    var first = focusables(modal)[0];
+    (first || modal.querySelector('.modal-content')).focus();
+}
+
+function closeDialog(modal) {
+    modal.classList.remove('active');
+
+    var idx = dialogStack.findIndex(function (d) { return d.modal === modal; });
+    if (idx === -1) return;
+    var returnTo = dialogStack.splice(idx, 1)[0].returnTo;
+    if (returnTo && document.body.contains(returnTo)) returnTo.focus();
+}
+
+// tab and shift+tab wrap around inside the newest popup
+function trapFocus(e) {
+    var top = dialogStack[dialogStack.length - 1];
+    if (!top) return;
+
+    var els = focusables(top.modal);
+    if (els.length === 0) {
+        e.preventDefault();
+        return;
+    }
+    var first = els[0];
+    var last = els[els.length - 1];
+    var active = document.activeElement;
+
+    if (!top.modal.contains(active) || (e.shiftKey && active === first) || (!e.shiftKey && active === last)) {
+        e.preventDefault();
+        (e.shiftKey ? last : first).focus();
+    }
+}
+
+// "/" jumps to the search box, unless you're typing somewhere
+function focusSearchKey(e) {
+    var el = e.target;
+    if (dialogStack.length > 0 || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (el.closest && el.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    e.preventDefault();
+    searchInput.focus();
+    searchInput.select();
+}
 
+// put cards for these movies in the grid
+function renderCards(movieList) {
     // build movie cards
     var html = '';
     for (var i = 0; i < movieList.length; i++) {
         html += makeMovieCard(movieList[i]);
     }
     resultsGrid.innerHTML = html;
+    bindCards(resultsGrid);
+}
 
-    // add click handlers
-    var cards = document.querySelectorAll('.movie-card');
+// open on click, watchlist button adds
+function bindCards(container) {
+    var cards = container.querySelectorAll('.movie-card');
     for (var i = 0; i < cards.length; i++) {
         cards[i].addEventListener('click', function (e) {
-            if (e.target.closest('.add-watchlist-btn')) return;
+            if (e.target.closest('.add-watchlist-btn, .pick-episodes-btn, .compare-btn')) return;
             openMovie(this.dataset.imdbId);
         });
     }
+    bindCardKeys(container, '.movie-card');
+    bindCompareBtns(container);
 
     // watchlist button handlers
-    var btns = document.querySelectorAll('.add-watchlist-btn');
+    var btns = container.querySelectorAll('.add-watchlist-btn');
     for (var i = 0; i < btns.length; i++) {
         btns[i].addEventListener('click', function (e) {
             e.stopPropagation();
             addToWatchlist(this.dataset.imdbId, this);
         });
     }
+
+    // series open their popup to pick seasons or episodes
+    var pickBtns = container.querySelectorAll('.pick-episodes-btn');
+    for (var i = 0; i < pickBtns.length; i++) {
+        pickBtns[i].addEventListener('click', function (e) {
+            e.stopPropagation();
+            openMovie(this.dataset.imdbId);
+        });
+    }
+}
+
+// FILTERS AND SORTING
+
+function readFilters() {
+    filters = {
+        yearFrom: parseInt(filterInputs.yearFrom.value) || 0,
+        yearTo: parseInt(filterInputs.yearTo.value) || 0,
+        type: filterInputs.type.value,
+        minRating: parseFloat(filterInputs.minRating.value) || 0,
+        runtimeMin: parseInt(filterInputs.runtimeMin.value) || 0,
+        runtimeMax: parseInt(filterInputs.runtimeMax.value) || 0,
+        genre: filterInputs.genre.value,
+        sort: filterInputs.sort.value
+    };
+}
+
+function resetFilters() {
+    for (var name in filterInputs) {
+        filterInputs[name].value = filterDefaults[name];
+    }
+    var searchChanged = filters.type !== filterDefaults.type || filters.yearFrom || filters.yearTo;
+    readFilters();
+
+    if (searchChanged) {
+        rerunSearch();
+    } else if (movies.length > 0) {
+        applyFilters();
+    }
+}
+
+// extra omdb params for the filters it can handle itself
+// omdb only takes a single year so ranges are filtered after
+function filterParams() {
+    var params = '';
+    if (filters.type) params += '&type=' + filters.type;
+    if (filters.yearFrom && filters.yearFrom === filters.yearTo) params += '&y=' + filters.yearFrom;
+    return params;
+}
+
+// these filters need the full details, search results only have title/year/type/poster
+function needsDetails() {
+    if (searchState && searchState.mood && moodNeedsDetails(searchState.mood)) return true;
+    return family.on || filters.minRating > 0 || filters.runtimeMin > 0 || filters.runtimeMax > 0 ||
+        filters.genre !== '' || filters.sort === 'rating' || filters.sort === 'runtime';
+}
+
+// search data has no genre, and actor results can have details without a certification
+function missingDetails(m) {
+    return !m.enriched && (!m.Genre || (family.on && !m.Rated));
+}
+
+function passesFilters(m) {
+    var year = parseInt(m.Year); // series years look like "2010–2015"
+    if (filters.yearFrom && !(year >= filters.yearFrom)) return false;
+    if (filters.yearTo && !(year <= filters.yearTo)) return false;
+    if (filters.type && m.Type && m.Type !== filters.type) return false;
+    if (filters.minRating && !(parseFloat(m.imdbRating) >= filters.minRating)) return false;
+
+    var runtime = parseTime(m.Runtime);
+    if (filters.runtimeMin && !(runtime >= filters.runtimeMin)) return false;
+    if (filters.runtimeMax && !(runtime > 0 && runtime <= filters.runtimeMax)) return false;
+
+    if (filters.genre) {
+        var genres = (m.Genre || '').split(',').map(function (g) { return g.trim(); });
+        if (genres.indexOf(filters.genre) === -1) return false;
+    }
+
+    // what the mood search worked out counts as filters too
+    if (searchState && searchState.mood && !passesMood(m, searchState.mood)) return false;
+    return true;
+}
+
+// movies with missing values always go last
+function sortMovies(list) {
+    var sorters = {
+        'year-desc': function (m) { return -(parseInt(m.Year) || -Infinity); },
+        'year-asc': function (m) { return parseInt(m.Year) || Infinity; },
+        'rating': function (m) { return -(parseFloat(m.imdbRating) || -Infinity); },
+        'runtime': function (m) { return parseTime(m.Runtime) || Infinity; }
+    };
+
+    if (filters.sort === 'title') {
+        return list.slice().sort(function (a, b) { return a.Title.localeCompare(b.Title); });
+    }
+
+    var key = sorters[filters.sort];
+
+    // offline moods rank by genre weights, otherwise relevance = the order omdb gave us
+    if (!key && searchState && searchState.mood && searchState.mood.weights) {
+        var mood = searchState.mood;
+        key = function (m) { return -moodScore(m, mood); };
+    }
+    if (!key) return list;
+
+    return list.slice().sort(function (a, b) {
+        var ka = key(a);
+        var kb = key(b);
+        return ka === kb ? 0 : ka < kb ? -1 : 1;
+    });
+}
+
+// fetch details for results that only have search data
+// a few at a time so we don't flood omdb
+async function enrichMovies(list) {
+    var todo = list.filter(missingDetails);
+
+    await mapLimit(todo, 3, async function (m) {
+        var full = await getMovieDetails(m.imdbID);
+        if (full) Object.assign(m, full);
+        m.enriched = true; // don't retry ones that failed
+    });
+}
+
+// filter + sort the loaded results and show them
+async function applyFilters() {
+    var run = ++filterRun;
+
+    if (needsDetails()) {
+        var missing = movies.filter(missingDetails).length;
+        if (missing > 0) {
+            filterStatus.textContent = 'Loading details for ' + missing + ' movie' + (missing !== 1 ? 's' : '') + ' to apply filters...';
+            filterStatus.classList.remove('hidden');
+            await enrichMovies(movies);
+
+            // filters changed again while we were loading
+            if (run !== filterRun) return;
+        }
+    }
+    filterStatus.classList.add('hidden');
+
+    var passed = movies.filter(passesFilters);
+    var list = sortMovies(passed.filter(familyAllows));
+    renderCards(list);
+    noResults.classList.toggle('hidden', list.length > 0);
+    updateResultsCount(list.length, passed.length - list.length);
+    loadMoreBtn.classList.toggle('hidden', !hasMoreResults());
+}
+
+// type and year change what omdb sends back, so search again
+function rerunSearch() {
+    if (searchState) {
+        runSearch(searchState.type, searchState.query);
+    }
 }
 
 // create html for movie card
 function makeMovieCard(movie) {
     var inList = watchlist.some(function (m) { return m.imdbID === movie.imdbID; });
 
-    var poster = movie.Poster && movie.Poster !== 'N/A'
-        ? '<img src="' + movie.Poster + '" alt="' + movie.Title + '">'
-        : '<div class="no-poster">🎬</div>';
-
-    var rating = movie.imdbRating || movie.Rating || '';
-    var ratingHtml = rating && rating !== 'N/A'
-        ? '<span class="movie-card-rating">⭐ ' + rating + '</span>'
+    var ratingHtml = movie.imdbRating && movie.imdbRating !== 'N/A'
+        ? '<span class="movie-card-rating">⭐ ' + escapeHtml(movie.imdbRating) + '</span>'
         : '';
+    // search results have no ratings at all, only loaded details do
+    if (movie.Ratings) ratingHtml += criticBadge(movie, 'movie-card-critic');
 
-    return '<div class="movie-card" data-imdb-id="' + movie.imdbID + '">' +
-        '<div class="movie-card-poster">' + poster +
+    var id = escapeHtml(movie.imdbID);
+    return '<div class="movie-card" data-imdb-id="' + id + '" role="listitem" tabindex="-1" aria-describedby="cardKeysHint"' +
+        ' aria-label="' + escapeHtml(movie.Title + (movie.Year ? ', ' + movie.Year : '')) + '">' +
+        '<div class="movie-card-poster">' + posterHtml(movie) +
         '<div class="movie-card-overlay"></div>' +
         '<div class="movie-card-actions">' +
-        '<button class="add-watchlist-btn ' + (inList ? 'added' : '') + '" data-imdb-id="' + movie.imdbID + '">' +
-        (inList ? '✓ In Watchlist' : '+ Watchlist') +
-        '</button></div></div>' +
+        // a series goes on the list by season or episode, so its button opens the series
+        (movie.Type === 'series'
+            ? '<button class="pick-episodes-btn" data-imdb-id="' + id + '" aria-label="Pick seasons or episodes of ' + escapeHtml(movie.Title) + '">📺 Episodes</button>'
+            : '<button class="add-watchlist-btn ' + (inList ? 'added' : '') + '" data-imdb-id="' + id + '">' +
+                (inList ? '✓ In Watchlist' : '+ Watchlist') + '</button>') +
+        compareBtnHtml(movie) + '</div></div>' +
         '<div class="movie-card-info">' +
-        '<h4 class="movie-card-title">' + movie.Title + '</h4>' +
+        '<h4 class="movie-card-title">' + escapeHtml(movie.Title) + '</h4>' +
         '<div class="movie-card-meta">' +
-        '<span class="movie-card-year">' + movie.Year + '</span>' +
+        '<span class="movie-card-year">' + escapeHtml(movie.Year) + '</span>' +
+        (movie.Type === 'series' ? '<span class="movie-card-type">📺 Series</span>' : '') +
         ratingHtml +
         '</div></div></div>';
 }
@@ -449,6 +2097,7 @@ function showLoader() {
     resultsSection.classList.remove('hidden');
     resultsGrid.innerHTML = '';
     noResults.classList.add('hidden');
+    loadMoreBtn.classList.add('hidden');
     loader.classList.remove('hidden');
 }
 
@@ -459,8 +2108,18 @@ function hideLoader() {
 
 // MOVIE DETAILS MODAL
 
-async function openMovie(id) {
-    movieModal.classList.add('active');
+// fromRoute is for when the url already says which movie, so it isn't pushed again
+async function openMovie(id, fromRoute) {
+    if (!fromRoute) {
+        // a movie opened from inside the popup replaces the one before, so back closes the popup
+        if (movieModal.classList.contains('active')) {
+            replaceRoute(movieRoute(id));
+        } else {
+            pushRoute(movieRoute(id));
+        }
+    }
+
+    openDialog(movieModal);
     movieDetails.innerHTML = '<div class="loader-container"><div class="loader"><div class="loader-spinner"></div><p>Loading...</p></div></div>';
     similarSection.classList.add('hidden');
 
@@ -471,43 +2130,52 @@ async function openMovie(id) {
         return;
     }
 
-    currentMovie = movie;
+    if (!familyAllows(movie)) {
+        movieDetails.innerHTML = '<div class="no-results"><span class="no-results-icon">👪</span><h4>Hidden by family mode</h4>' +
+            '<p>' + escapeHtml(movie.Title) + ' is ' + escapeHtml(familyRatedText(movie)) + '</p></div>';
+        return;
+    }
+
+    currentMovie = movie;
     displayMovie(movie);
 
     // get similar movies
-    var similar = await getSimilarMovies(movie.Genre, movie.Year, movie.imdbID);
+    var similar = await getSimilarMovies(movie);
+
+    // another movie was opened while these were loading
+    if (currentMovie !== movie) return;
     showSimilar(similar);
 }
 
 function displayMovie(movie) {
-    var poster = movie.Poster && movie.Poster !== 'N/A'
-        ? '<img src="' + movie.Poster + '" alt="' + movie.Title + '">'
-        : '<div class="no-poster">🎬</div>';
-
     var genres = '';
     if (movie.Genre) {
         var g = movie.Genre.split(',');
         for (var i = 0; i < g.length; i++) {
-            genres += '<span class="genre-tag">' + g[i].trim() + '</span>';
+            genres += '<span class="genre-tag">' + escapeHtml(g[i].trim()) + '</span>';
         }
     }
 
     var inList = watchlist.some(function (m) { return m.imdbID === movie.imdbID; });
 
-    var html = '<div class="movie-poster-large">' + poster + '</div>' +
+    var html = '<div class="movie-poster-large">' + posterHtml(movie) + '</div>' +
         '<div class="movie-info">' +
-        '<h2 class="movie-title-large">' + movie.Title + '</h2>' +
+        '<h2 id="movieDialogTitle" class="movie-title-large">' + escapeHtml(movie.Title) + '</h2>' +
         '<div class="movie-meta-bar">';
 
     if (movie.imdbRating && movie.imdbRating !== 'N/A') {
-        html += '<span class="movie-rating-large">⭐ ' + movie.imdbRating + '/10</span>';
+        html += '<span class="movie-rating-large">⭐ ' + escapeHtml(movie.imdbRating) + '/10</span>';
     }
-    html += '<span>' + movie.Year + '</span>';
+    html += criticBadge(movie, 'movie-critic-large');
+    html += '<span>' + escapeHtml(movie.Year) + '</span>';
     if (movie.Runtime && movie.Runtime !== 'N/A') {
-        html += '<span>⏱️ ' + movie.Runtime + '</span>';
+        html += '<span>⏱️ ' + escapeHtml(movie.Runtime) + '</span>';
     }
     if (movie.Rated && movie.Rated !== 'N/A') {
-        html += '<span>' + movie.Rated + '</span>';
+        html += '<span>' + escapeHtml(movie.Rated) + '</span>';
+    }
+    if (movie.cachedAt) {
+        html += '<span class="cached-tag" title="Offline - saved ' + formatAge(movie.cachedAt) + '">📦 cached</span>';
     }
     html += '</div>';
 
@@ -515,33 +2183,48 @@ function displayMovie(movie) {
         html += '<div class="movie-genres">' + genres + '</div>';
     }
 
-    html += '<p class="movie-plot">' + (movie.Plot || 'No plot available.') + '</p>';
+    html += '<p class="movie-plot">' + escapeHtml(movie.Plot || 'No plot available.') + '</p>';
 
     if (movie.Director && movie.Director !== 'N/A') {
-        html += '<div class="movie-details-section"><h4>Director</h4><p>' + movie.Director + '</p></div>';
+        html += '<div class="movie-details-section"><h3>Director</h3><p>' + personLinks(movie.Director) + '</p></div>';
     }
     if (movie.Actors && movie.Actors !== 'N/A') {
-        html += '<div class="movie-details-section"><h4>Cast</h4><p>' + movie.Actors + '</p></div>';
+        html += '<div class="movie-details-section"><h3>Cast</h3><p>' + personLinks(movie.Actors) + '</p></div>';
     }
     if (movie.Awards && movie.Awards !== 'N/A') {
-        html += '<div class="movie-details-section"><h4>Awards</h4><p>' + movie.Awards + '</p></div>';
+        html += '<div class="movie-details-section"><h3>Awards</h3><p>' + escapeHtml(movie.Awards) + '</p></div>';
     }
 
-    html += '<div class="movie-actions">' +
-        '<button class="btn btn-primary modal-watchlist-btn" data-imdb-id="' + movie.imdbID + '">' +
-        (inList ? '✓ In Watchlist' : '+ Add to Watchlist') + '</button>';
+    var isSeries = movie.Type === 'series';
+    if (isSeries) {
+        html += '<div class="movie-details-section series-section"></div>';
+    }
+
+    html += '<div class="movie-actions">';
+    if (!isSeries) {
+        html += '<button class="btn btn-primary modal-watchlist-btn" data-imdb-id="' + escapeHtml(movie.imdbID) + '">' +
+            (inList ? '✓ In Watchlist' : '+ Add to Watchlist') + '</button>';
+    }
 
     if (movie.Title) {
         html += '<a href="https://www.justwatch.com/in/search?q=' + encodeURIComponent(movie.Title) + '" target="_blank" class="btn btn-primary watch-btn">🎬 Watch Now</a>';
     }
     if (movie.imdbID) {
-        html += '<a href="https://www.imdb.com/title/' + movie.imdbID + '/" target="_blank" class="btn btn-secondary">View on IMDB</a>';
+        html += '<a href="https://www.imdb.com/title/' + encodeURIComponent(movie.imdbID) + '/" target="_blank" class="btn btn-secondary">View on IMDB</a>';
     }
 
     html += '</div></div>';
 
     movieDetails.innerHTML = html;
 
+    // names open their filmography
+    var links = movieDetails.querySelectorAll('.person-link');
+    for (var i = 0; i < links.length; i++) {
+        links[i].addEventListener('click', function () {
+            showPerson(this.dataset.name);
+        });
+    }
+
     // add watchlist button handler
     var btn = movieDetails.querySelector('.modal-watchlist-btn');
     if (btn) {
@@ -549,6 +2232,15 @@ function displayMovie(movie) {
             addToWatchlist(movie.imdbID, btn);
         });
     }
+
+    if (isSeries) showSeasons(movie);
+}
+
+// "A, B" -> clickable names
+function personLinks(names) {
+    return splitList(names).map(function (name) {
+        return '<button class="person-link" data-name="' + escapeHtml(name) + '">' + escapeHtml(name) + '</button>';
+    }).join(', ');
 }
 
 function showSimilar(movieList) {
@@ -557,18 +2249,26 @@ function showSimilar(movieList) {
         return;
     }
 
+    var picked = familyPick(movieList, SIMILAR_SHOWN);
+    movieList = picked.movies;
+    similarHiddenP.textContent = familyHiddenText(picked.hidden);
+    similarHiddenP.classList.toggle('hidden', picked.hidden === 0);
+
     similarSection.classList.remove('hidden');
 
     var html = '';
     for (var i = 0; i < movieList.length; i++) {
         var m = movieList[i];
-        var poster = m.Poster && m.Poster !== 'N/A'
-            ? '<img src="' + m.Poster + '" alt="' + m.Title + '">'
-            : '<div class="no-poster">🎬</div>';
-
-        html += '<div class="similar-movie-card" data-imdb-id="' + m.imdbID + '">' +
-            '<div class="similar-movie-poster">' + poster + '</div>' +
-            '<p class="similar-movie-title">' + m.Title + '</p></div>';
+        var reasons = m.similarity && m.similarity.reasons.length > 0
+            ? '<p class="similar-movie-reason">because: ' + escapeHtml(m.similarity.reasons.join(', ')) + '</p>'
+            : '';
+
+        html += '<div class="similar-movie-card" data-imdb-id="' + escapeHtml(m.imdbID) + '" role="listitem" tabindex="-1"' +
+            ' aria-describedby="cardKeysHint" aria-label="' + escapeHtml(m.Title) + '"' +
+            (m.similarity ? ' title="Match score ' + m.similarity.score.toFixed(1) + '"' : '') + '>' +
+            '<div class="similar-movie-poster">' + posterHtml(m) + compareBtnHtml(m) + '</div>' +
+            '<p class="similar-movie-title">' + escapeHtml(m.Title) + '</p>' +
+            reasons + '</div>';
     }
 
     similarGrid.innerHTML = html;
@@ -576,310 +2276,3446 @@ function showSimilar(movieList) {
     // click handlers
     var cards = similarGrid.querySelectorAll('.similar-movie-card');
     for (var i = 0; i < cards.length; i++) {
-        cards[i].addEventListener('click', function () {
+        cards[i].addEventListener('click', function (e) {
+            if (e.target.closest('.compare-btn')) return;
             openMovie(this.dataset.imdbId);
         });
     }
+    bindCardKeys(similarGrid, '.similar-movie-card');
+    bindCompareBtns(similarGrid);
 }
 
-function closeMovie() {
-    movieModal.classList.remove('active');
+// fromRoute means the url has already moved on, otherwise the movie is taken off it
+function closeMovie(fromRoute) {
+    closeDialog(movieModal);
     currentMovie = null;
+
+    if (fromRoute || parseRoute(location.hash).name !== 'movie') return;
+    if (history.state && history.state.pushed) {
+        history.back();
+    } else {
+        // opened from a link, there's nothing of ours to go back to
+        replaceRoute(backgroundRoute());
+    }
 }
 
-// WATCHLIST STUFF
+// SERIES
+// a series popup lists its seasons and episodes (omdb's &Season= lookup).
+// episodes go on the list one by one, each with its own runtime, and the
+// optimizer keeps every series' episodes in order
 
-function loadWatchlist() {
-    var saved = localStorage.getItem(WATCHLIST_KEY);
+// one season of a series, or null
+async function getSeason(id, season) {
+    try {
+        var data = await omdbFetch('i=' + id + '&Season=' + season, 'details');
+        return data.Response === 'True' && Array.isArray(data.Episodes) ? data : null;
+    } catch (err) {
+        console.error('season error:', err);
+        return null;
+    }
+}
+
+function showSeasons(series) {
+    var box = movieDetails.querySelector('.series-section');
+    var total = parseInt(series.totalSeasons) || 0;
+    if (total === 0) {
+        box.innerHTML = '<h3>Episodes</h3><p class="form-help">OMDB has no episode list for this series.</p>';
+        return;
+    }
+
+    var tabs = '';
+    for (var n = 1; n <= total; n++) {
+        tabs += '<button class="season-tab" data-season="' + n + '" aria-pressed="false">Season ' + n + '</button>';
+    }
+    box.innerHTML = '<h3>Episodes</h3><div class="season-tabs">' + tabs + '</div><div class="season-body"></div>';
+
+    var btns = box.querySelectorAll('.season-tab');
+    for (var i = 0; i < btns.length; i++) {
+        btns[i].addEventListener('click', function () {
+            loadSeason(series, parseInt(this.dataset.season));
+        });
+    }
+    loadSeason(series, 1);
+}
+
+async function loadSeason(series, season) {
+    var view = { series: series, season: season, episodes: [] };
+    seriesView = view;
+
+    var tabs = movieDetails.querySelectorAll('.season-tab');
+    for (var i = 0; i < tabs.length; i++) {
+        var on = parseInt(tabs[i].dataset.season) === season;
+        tabs[i].classList.toggle('active', on);
+        tabs[i].setAttribute('aria-pressed', on);
+    }
+    var body = movieDetails.querySelector('.season-body');
+    body.innerHTML = '<p class="form-help">Loading season ' + season + '...</p>';
+
+    var data = await getSeason(series.imdbID, season);
+
+    // another season or movie was opened while this one loaded
+    if (seriesView !== view) return;
+    if (!data) {
+        body.innerHTML = '<p class="form-help">Couldn\'t load season ' + season + '.</p>';
+        return;
+    }
+    view.episodes = data.Episodes;
+    renderSeason();
+}
+
+function renderSeason() {
+    var body = movieDetails.querySelector('.season-body');
+    var eps = seriesView.episodes;
+    if (eps.length === 0) {
+        body.innerHTML = '<p class="form-help">No episodes listed for this season.</p>';
+        return;
+    }
+
+    var html = '<ol class="episode-list">';
+    var options = '';
+    eps.forEach(function (ep) {
+        var inList = watchlist.some(function (m) { return m.imdbID === ep.imdbID; });
+        var meta = [realValue(ep.Released), ep.imdbRating && ep.imdbRating !== 'N/A' ? '⭐ ' + ep.imdbRating : '']
+            .filter(Boolean).join(' · ');
+        html += '<li class="episode-item' + (inList ? ' episode-added' : '') + '">' +
+            '<span class="episode-num">E' + escapeHtml(ep.Episode) + '</span>' +
+            '<span class="episode-title">' + escapeHtml(ep.Title) + '</span>' +
+            '<span class="plan-keep-meta">' + escapeHtml(meta) + (inList ? ' · ✓ in list' : '') + '</span></li>';
+        options += '<option value="' + escapeHtml(ep.Episode) + '">' + escapeHtml(ep.Episode) + '</option>';
+    });
+    html += '</ol>';
+
+    html += '<div class="episode-add">' +
+        '<label for="episodeFrom">Episodes</label>' +
+        '<select id="episodeFrom">' + options + '</select>' +
+        '<label for="episodeTo">to</label>' +
+        '<select id="episodeTo">' + options + '</select>' +
+        '<button class="btn btn-secondary btn-sm episode-range-btn">+ Add Episodes</button>' +
+        '<button class="btn btn-primary btn-sm episode-season-btn">+ Add Season ' + seriesView.season + '</button>' +
+        '</div>';
+    body.innerHTML = html;
+
+    var from = body.querySelector('#episodeFrom');
+    var to = body.querySelector('#episodeTo');
+    to.value = eps[eps.length - 1].Episode;
+
+    body.querySelector('.episode-range-btn').addEventListener('click', function () {
+        addEpisodes(parseInt(from.value), parseInt(to.value), this);
+    });
+    body.querySelector('.episode-season-btn').addEventListener('click', function () {
+        addEpisodes(1, Infinity, this);
+    });
+}
+
+// an episode with what the list needs. the season list has no runtimes, so
+// those come from each episode's details, or the series' usual runtime
+function episodeMovie(series, season, ep, full) {
+    var runtime = full && full.Runtime && full.Runtime !== 'N/A' ? full.Runtime : series.Runtime;
+    var poster = full && full.Poster && full.Poster !== 'N/A' ? full.Poster : series.Poster;
+    return Object.assign({}, full || ep, {
+        imdbID: ep.imdbID,
+        Type: 'episode',
+        Title: ep.Title,
+        seriesID: series.imdbID,
+        seriesTitle: series.Title,
+        Season: season,
+        Episode: ep.Episode,
+        Runtime: runtime,
+        Poster: poster
+    });
+}
+
+// "Breaking Bad S1E3 · ...And the Bag's in the River"
+function episodeTitle(ep) {
+    return (ep.seriesTitle ? ep.seriesTitle + ' ' : '') + 'S' + ep.Season + 'E' + ep.Episode + ' · ' + (ep.episodeTitle || ep.Title);
+}
+
+// episodes from..to of the season on screen, onto the current list
+async function addEpisodes(from, to, btn) {
+    var view = seriesView;
+    var list = getList(currentListId);
+    if (from > to) {
+        var swap = from;
+        from = to;
+        to = swap;
+    }
+
+    var eps = view.episodes.filter(function (ep) {
+        var n = parseInt(ep.Episode);
+        return n >= from && n <= to && !list.movies.some(function (m) { return m.imdbID === ep.imdbID; });
+    });
+    if (eps.length === 0) {
+        toast('Those episodes are already in "' + list.name + '"', 'info');
+        return;
+    }
+
+    var label = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = 'Adding...';
+
+    var details = await mapLimit(eps, 3, function (ep) {
+        return getMovieDetails(ep.imdbID);
+    });
+    eps.forEach(function (ep, i) {
+        list.movies.push(watchlistEntry(episodeMovie(view.series, view.season, ep, details[i])));
+    });
+
+    saveWatchlist();
+    renderListSelect();
+    updateWatchlistUI();
+    btn.disabled = false;
+    btn.textContent = label;
+    if (seriesView === view) renderSeason();
+    toast('Added ' + eps.length + (eps.length !== 1 ? ' episodes' : ' episode') + ' of ' + view.series.Title +
+        ' season ' + view.season + ' to "' + list.name + '"', 'success');
+}
+
+// FAMILY MODE
+// hides anything above a chosen certification from results, similar movies,
+// for you picks and the optimizer. turning it off or changing it needs the pin.
+// the pin only keeps kids from flipping the switch - it's not real security,
+// anyone with the browser's dev tools can clear it
+
+function loadFamily() {
+    var saved = localStorage.getItem(FAMILY_KEY);
     if (saved) {
         try {
-            watchlist = JSON.parse(saved);
+            family = Object.assign(family, JSON.parse(saved));
         } catch (e) {
-            console.error('watchlist load error:', e);
-            watchlist = [];
+            console.error('family mode load error:', e);
         }
     }
+    renderFamily();
+}
+
+function saveFamily() {
+    localStorage.setItem(FAMILY_KEY, JSON.stringify(family));
+}
+
+// small string hash so the pin isn't sitting in localStorage as it is
+function hashPin(pin) {
+    var h = 5381;
+    var str = 'cinematch:' + pin;
+    for (var i = 0; i < str.length; i++) {
+        h = ((h << 5) + h + str.charCodeAt(i)) >>> 0;
+    }
+    return h.toString(36);
+}
+
+// index into certLevels, -1 for unrated / unknown
+function certLevel(rated) {
+    return certLevels.indexOf(certAliases[rated] || rated);
+}
+
+function familyAllows(movie) {
+    if (!family.on) return true;
+    var level = certLevel(movie.Rated);
+    if (level === -1) return family.unrated === 'show';
+    return level <= certLevels.indexOf(family.max);
+}
+
+// best-first list -> the first `limit` allowed ones, and how many were skipped to get them
+function familyPick(list, limit) {
+    var out = [];
+    var hidden = 0;
+    for (var i = 0; i < list.length && out.length < limit; i++) {
+        if (familyAllows(list[i])) out.push(list[i]);
+        else hidden++;
+    }
+    return { movies: out, hidden: hidden };
+}
+
+function familyHiddenText(n) {
+    return n + ' hidden by family mode';
+}
+
+function familyRatedText(movie) {
+    return certLevel(movie.Rated) === -1 ? 'not rated' : 'rated ' + movie.Rated;
+}
+
+function familyLimitText() {
+    return 'up to ' + family.max + ', unrated ' + (family.unrated === 'show' ? 'shown' : 'hidden');
+}
+
+// watchlist entries saved before family mode have no certification - look them up once
+async function rateWatchlist() {
+    var todo = watchlist.filter(function (m) { return !m.Rated; });
+    if (todo.length === 0 || !hasApiKeys()) return;
+
+    await mapLimit(todo, 3, async function (m) {
+        var full = await getMovieDetails(m.imdbID);
+        if (full) m.Rated = full.Rated || 'N/A';
+    });
+    saveWatchlist();
     updateWatchlistUI();
 }
 
-function saveWatchlist() {
-    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(watchlist));
+// movies on the list the optimizer had to leave out, under the results
+function familyNote() {
+    if (!family.on) return '';
+    var n = watchlist.filter(function (m) { return !familyAllows(m); }).length;
+    if (n === 0) return '';
+
+    return '<p class="form-help family-note">👪 ' + n + (n !== 1 ? ' movies are' : ' movie is') +
+        ' left out by family mode (' + familyLimitText() + ')</p>';
 }
 
-async function addToWatchlist(id, btn) {
-    // check if already in list
-    var idx = -1;
-    for (var i = 0; i < watchlist.length; i++) {
-        if (watchlist[i].imdbID === id) {
-            idx = i;
-            break;
-        }
+function turnOnFamily() {
+    var pin = familyNewPinInput.value.trim();
+    if (!/^\d+$/.test(pin) || pin.length < FAMILY_PIN_MIN) {
+        toast('Pick a PIN of at least ' + FAMILY_PIN_MIN + ' digits', 'warning');
+        return;
     }
 
-    if (idx !== -1) {
-        // remove from list
-        watchlist.splice(idx, 1);
-        saveWatchlist();
-        updateWatchlistUI();
-        updateButtons(id, false);
-        toast('Removed from watchlist', 'success');
+    family.on = true;
+    family.max = familyMaxSelect.value;
+    family.unrated = familyUnratedSelect.value;
+    family.pin = hashPin(pin);
+    familyNewPinInput.value = '';
+    saveFamily();
+    familyChanged();
+    toast('Family mode is on', 'success');
+}
+
+// seconds until the pin can be tried again, 0 when it can
+function familyLockLeft() {
+    return Math.max(0, Math.ceil((family.lockedUntil - Date.now()) / 1000));
+}
+
+function turnOffFamily() {
+    var wait = familyLockLeft();
+    if (wait > 0) {
+        toast('Too many wrong PINs - try again in ' + wait + 's', 'error');
+        familyPinInput.value = '';
         return;
     }
 
-    // find movie in results or fetch it
-    var movie = null;
-    for (var i = 0; i < movies.length; i++) {
-        if (movies[i].imdbID === id) {
-            movie = movies[i];
-            break;
+    if (hashPin(familyPinInput.value.trim()) !== family.pin) {
+        // every few wrong tries locks it for a while, twice as long each time
+        family.fails++;
+        if (family.fails % FAMILY_PIN_TRIES === 0) {
+            var locks = family.fails / FAMILY_PIN_TRIES;
+            family.lockedUntil = Date.now() + FAMILY_LOCK_SECS * 1000 * Math.pow(2, locks - 1);
+            toast('Too many wrong PINs - try again in ' + familyLockLeft() + 's', 'error');
+        } else {
+            toast('Wrong PIN', 'error');
         }
+        saveFamily();
+        familyPinInput.value = '';
+        return;
     }
 
-    if (!movie || !movie.Runtime) {
-        movie = await getMovieDetails(id);
-        if (!movie) {
-            toast('Failed to add movie', 'error');
-            return;
+    family.on = false;
+    family.pin = '';
+    family.fails = 0;
+    family.lockedUntil = 0;
+    familyPinInput.value = '';
+    saveFamily();
+    familyChanged();
+    toast('Family mode is off', 'success');
+}
+
+// show or hide everything on screen again with the new setting
+function familyChanged() {
+    renderFamily();
+    updateWatchlistUI();
+    if (family.on) rateWatchlist();
+    if (movies.length > 0) applyFilters();
+    if (forYouPool.length > 0) renderForYou();
+    if (!optimizeResults.classList.contains('hidden')) optimize();
+}
+
+function renderFamily() {
+    familyForm.classList.toggle('hidden', family.on);
+    familyLockedDiv.classList.toggle('hidden', !family.on);
+    familyMaxSelect.value = family.max;
+    familyUnratedSelect.value = family.unrated;
+    familyStatusP.textContent = family.on ? 'Family mode is on - ' + familyLimitText() + '. Enter the PIN to turn it off.' : '';
+}
+
+// CRITIC SCORE
+// one 0-100 number out of every rating omdb has, weighted by the settings.
+// sources a movie doesn't have are left out and the others count for more,
+// so a movie with only an imdb rating still gets a score
+
+function loadCriticWeights() {
+    var saved = localStorage.getItem(CRITIC_WEIGHTS_KEY);
+    if (saved) {
+        try {
+            criticWeights = Object.assign({}, criticDefaults, JSON.parse(saved));
+        } catch (e) {
+            console.error('critic weights load error:', e);
         }
     }
+    for (var i = 0; i < criticInputs.length; i++) {
+        criticInputs[i].value = criticWeights[criticInputs[i].dataset.source];
+    }
+}
+
+function saveCriticWeights() {
+    localStorage.setItem(CRITIC_WEIGHTS_KEY, JSON.stringify(criticWeights));
+}
+
+// "8.1/10", "94%" and "76/100" all as 0-100
+function ratingPercent(value) {
+    var frac = /([\d.]+)\s*\/\s*([\d.]+)/.exec(value || '');
+    if (frac) return parseFloat(frac[1]) / parseFloat(frac[2]) * 100;
+    var pct = parseFloat(value);
+    return isNaN(pct) ? null : pct;
+}
+
+// every rating a movie has, by source - falls back to imdbRating if Ratings has no imdb entry
+function movieRatings(movie) {
+    var out = {};
+    (movie.Ratings || []).forEach(function (r) {
+        out[r.Source] = r.Value;
+    });
+    if (!out['Internet Movie Database'] && movie.imdbRating && movie.imdbRating !== 'N/A') {
+        out['Internet Movie Database'] = movie.imdbRating + '/10';
+    }
+    return out;
+}
 
-    // add to list
-    watchlist.push({
-        imdbID: movie.imdbID,
-        Title: movie.Title,
-        Year: movie.Year,
-        Poster: movie.Poster,
-        Runtime: movie.Runtime || 'N/A',
-        imdbRating: movie.imdbRating || 'N/A'
+// weighted average of the sources the movie has, null if it has none
+function criticScore(movie) {
+    var ratings = movieRatings(movie);
+    var total = 0;
+    var weight = 0;
+    Object.keys(criticWeights).forEach(function (src) {
+        var pct = ratingPercent(ratings[src]);
+        if (pct === null || !criticWeights[src]) return;
+        total += pct * criticWeights[src];
+        weight += criticWeights[src];
+    });
+    return weight > 0 ? Math.round(total / weight) : null;
+}
+
+// "IMDb 8.1/10 · Rotten Tomatoes 94%" - what went into the score
+function criticBreakdown(movie) {
+    var ratings = movieRatings(movie);
+    return Object.keys(criticWeights).filter(function (src) {
+        return ratings[src] && criticWeights[src];
+    }).map(function (src) {
+        return (ratingSourceNames[src] || src) + ' ' + ratings[src];
+    }).join(' · ');
+}
+
+// watchlist entries carry their score, worked out again whenever the weights change
+function savedCriticScore(movie) {
+    return movie.criticScore !== undefined ? movie.criticScore : criticScore(movie);
+}
+
+function criticBadge(movie, cls) {
+    var score = savedCriticScore(movie);
+    if (score === null) return '';
+    return '<span class="critic-score ' + cls + '" title="Critic score - ' + escapeHtml(criticBreakdown(movie)) + '">🎯 ' + score + '</span>';
+}
+
+// the weights changed - saved movies get their stored score worked out again
+function updateCriticScores() {
+    lists.forEach(function (l) {
+        l.movies.forEach(function (m) {
+            m.criticScore = criticScore(m);
+        });
     });
+    saveWatchlist();
+    updateWatchlistUI();
+}
 
+// watchlist entries saved before critic scores have no Ratings - look them up once
+async function fillRatings() {
+    var todo = watchlist.filter(function (m) { return !m.Ratings; });
+    if (todo.length === 0) return;
+
+    await mapLimit(todo, 3, async function (m) {
+        var full = await getMovieDetails(m.imdbID);
+        if (!full) return;
+        m.Ratings = full.Ratings || [];
+        m.criticScore = criticScore(m);
+    });
     saveWatchlist();
     updateWatchlistUI();
-    updateButtons(id, true);
-    toast('"' + movie.Title + '" added to watchlist', 'success');
 }
 
-// update all buttons for a movie
-function updateButtons(id, inList) {
-    var btns = document.querySelectorAll('.add-watchlist-btn[data-imdb-id="' + id + '"]');
+// COMPARE
+// pick 2-4 movies from any grid or the watchlist, then see them side by side.
+// rows with a clear "better" get the best value highlighted, and the movie that
+// wins the most rows is the winner
+
+function compareBtnHtml(movie) {
+    var on = compareIds.indexOf(movie.imdbID) !== -1;
+    return '<button class="compare-btn' + (on ? ' comparing' : '') + '" data-imdb-id="' + escapeHtml(movie.imdbID) + '"' +
+        ' title="Compare" aria-pressed="' + on + '" aria-label="Compare ' + escapeHtml(movie.Title) + '">⚖️</button>';
+}
+
+function bindCompareBtns(container) {
+    var btns = container.querySelectorAll('.compare-btn');
     for (var i = 0; i < btns.length; i++) {
-        var b = btns[i];
-        if (inList) {
-            b.classList.add('added');
-            b.textContent = '✓ In Watchlist';
-        } else {
-            b.classList.remove('added');
-            b.textContent = '+ Watchlist';
-        }
+        btns[i].addEventListener('click', function (e) {
+            e.stopPropagation();
+            toggleCompare(this.dataset.imdbId);
+        });
     }
+}
 
-    // modal button
-    var modalBtn = movieDetails.querySelector('.modal-watchlist-btn[data-imdb-id="' + id + '"]');
-    if (modalBtn) {
-        modalBtn.textContent = inList ? '✓ In Watchlist' : '+ Add to Watchlist';
+function toggleCompare(id) {
+    var idx = compareIds.indexOf(id);
+    if (idx !== -1) {
+        compareIds.splice(idx, 1);
+    } else if (compareIds.length >= COMPARE_MAX) {
+        toast('You can compare up to ' + COMPARE_MAX + ' movies', 'warning');
+        return;
+    } else {
+        compareIds.push(id);
     }
+    updateCompareUI();
 }
 
-function removeFromList(id) {
-    for (var i = 0; i < watchlist.length; i++) {
-        if (watchlist[i].imdbID === id) {
-            var movie = watchlist[i];
-            watchlist.splice(i, 1);
-            saveWatchlist();
-            updateWatchlistUI();
-            updateButtons(id, false);
-            toast('"' + movie.Title + '" removed', 'success');
-            break;
-        }
+function clearCompare() {
+    compareIds = [];
+    updateCompareUI();
+}
+
+// every compare button on screen, plus the bar at the bottom
+function updateCompareUI() {
+    var btns = document.querySelectorAll('.compare-btn');
+    for (var i = 0; i < btns.length; i++) {
+        var on = compareIds.indexOf(btns[i].dataset.imdbId) !== -1;
+        btns[i].classList.toggle('comparing', on);
+        btns[i].setAttribute('aria-pressed', on);
     }
+
+    compareBar.classList.toggle('hidden', compareIds.length === 0);
+    compareCountSpan.textContent = compareIds.length + ' of ' + COMPARE_MAX + ' picked' +
+        (compareIds.length < 2 ? ' - pick at least 2' : '');
+    compareOpenBtn.disabled = compareIds.length < 2;
 }
 
-function updateWatchlistUI() {
-    var count = watchlist.length;
-    watchlistCountSpan.textContent = count + ' movie' + (count !== 1 ? 's' : '');
+async function openCompare() {
+    if (compareIds.length < 2) return;
 
-    if (count === 0) {
-        emptyWatchlist.classList.remove('hidden');
-        watchlistUl.classList.add('hidden');
-        runtimeDiv.classList.add('hidden');
+    openDialog(compareModal);
+    compareBody.innerHTML = '<div class="loader-container"><div class="loader"><div class="loader-spinner"></div><p>Loading...</p></div></div>';
+
+    var details = await mapLimit(compareIds, 3, getMovieDetails);
+    var loaded = details.filter(Boolean);
+    compareMovies = loaded.filter(familyAllows);
+    var hidden = loaded.length - compareMovies.length;
+    var note = hidden > 0 ? '<p class="form-help family-note">👪 ' + familyHiddenText(hidden) + '</p>' : '';
+    if (compareMovies.length < 2) {
+        compareBody.innerHTML = '<p class="form-help">Couldn\'t load enough of these movies to compare them.</p>' + note;
         return;
     }
+    renderCompare();
+    compareBody.insertAdjacentHTML('beforeend', note);
+}
 
-    emptyWatchlist.classList.add('hidden');
-    watchlistUl.classList.remove('hidden');
-    runtimeDiv.classList.remove('hidden');
+function closeCompare() {
+    closeDialog(compareModal);
+    compareMovies = [];
+}
 
-    // calc total runtime
-    var totalMins = getTotalRuntime();
-    totalRuntimeSpan.textContent = formatTime(totalMins);
+// "Won 7 Oscars. 159 wins & 220 nominations" - wins first, nominations break ties
+function awardScore(text) {
+    var wins = /(\d+) wins?/i.exec(text || '') || /won (\d+)/i.exec(text || '');
+    var noms = /(\d+) nominations?/i.exec(text || '');
+    if (!wins && !noms) return null;
+    return (wins ? parseInt(wins[1]) : 0) * 1000 + (noms ? parseInt(noms[1]) : 0);
+}
 
-    // build list html
-    var html = '';
-    for (var i = 0; i < watchlist.length; i++) {
-        var m = watchlist[i];
-        var poster = m.Poster && m.Poster !== 'N/A'
-            ? '<img src="' + m.Poster + '" alt="' + m.Title + '">'
-            : '<div class="no-poster">🎬</div>';
+function boxOfficeValue(text) {
+    var n = parseInt((text || '').replace(/[^\d]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+function realValue(text) {
+    return text && text !== 'N/A' ? text : '';
+}
+
+// the rows of the table - value() gives a number to rank by, best says which end wins
+function compareRows(movies) {
+    var rows = [
+        { label: 'Year', text: function (m) { return realValue(m.Year); } },
+        {
+            label: 'Runtime (shortest)',
+            text: function (m) { return realValue(m.Runtime); },
+            value: function (m) { return parseTime(m.Runtime) || null; },
+            best: 'min'
+        }
+    ];
+
+    // one row per rating source any of the movies has
+    var sources = [];
+    movies.forEach(function (m) {
+        Object.keys(movieRatings(m)).forEach(function (src) {
+            if (sources.indexOf(src) === -1) sources.push(src);
+        });
+    });
+    sources.forEach(function (src) {
+        rows.push({
+            label: ratingSourceNames[src] || src,
+            text: function (m) { return movieRatings(m)[src] || ''; },
+            value: function (m) { return ratingPercent(movieRatings(m)[src]); },
+            best: 'max'
+        });
+    });
+    rows.push({
+        label: 'Critic score',
+        text: function (m) { var c = savedCriticScore(m); return c === null ? '' : c + '/100'; },
+        value: savedCriticScore,
+        best: 'max'
+    });
+
+    rows.push(
+        { label: 'Genres', text: function (m) { return realValue(m.Genre); } },
+        { label: 'Director', text: function (m) { return realValue(m.Director); } },
+        { label: 'Cast', cast: true },
+        {
+            label: 'Awards',
+            text: function (m) { return realValue(m.Awards); },
+            value: function (m) { return awardScore(realValue(m.Awards)); },
+            best: 'max'
+        },
+        {
+            label: 'Box office',
+            text: function (m) { return realValue(m.BoxOffice); },
+            value: function (m) { return boxOfficeValue(realValue(m.BoxOffice)); },
+            best: 'max'
+        }
+    );
+    return rows;
+}
+
+// which movies have the best value in a row - ties all count, missing values never win
+function rowWinners(row, movies) {
+    if (!row.best) return [];
+    var values = movies.map(row.value);
+    var known = values.filter(function (v) { return v !== null && !isNaN(v); });
+    if (known.length < 2) return [];
+
+    var best = row.best === 'min' ? Math.min.apply(null, known) : Math.max.apply(null, known);
+    var winners = [];
+    values.forEach(function (v, i) {
+        if (v === best) winners.push(i);
+    });
+    return winners.length === movies.length ? [] : winners;
+}
+
+function renderCompare() {
+    var movies = compareMovies;
+    var rows = compareRows(movies);
+    var wins = movies.map(function () { return 0; });
+
+    // actors in more than one of the movies
+    var castCount = {};
+    movies.forEach(function (m) {
+        splitList(realValue(m.Actors)).forEach(function (a) { castCount[a] = (castCount[a] || 0) + 1; });
+    });
+
+    var html = '<table class="compare-table"><thead><tr><td></td>';
+    movies.forEach(function (m) {
+        html += '<th scope="col"><div class="compare-poster">' + posterHtml(m, true) + '</div>' + escapeHtml(m.Title) + '</th>';
+    });
+    html += '</tr></thead><tbody>';
+
+    rows.forEach(function (row) {
+        html += '<tr><th scope="row">' + escapeHtml(row.label) + '</th>';
+        if (row.cast) {
+            movies.forEach(function (m) {
+                var actors = splitList(realValue(m.Actors));
+                html += '<td>' + (actors.map(function (a) {
+                    return castCount[a] > 1 ? '<span class="compare-shared" title="Also in another movie here">' + escapeHtml(a) + '</span>' : escapeHtml(a);
+                }).join(', ') || '-') + '</td>';
+            });
+        } else {
+            var winners = rowWinners(row, movies);
+            winners.forEach(function (i) { wins[i]++; });
+            movies.forEach(function (m, i) {
+                var best = winners.indexOf(i) !== -1;
+                html += '<td' + (best ? ' class="compare-best"' : '') + '>' + (escapeHtml(row.text(m)) || '-') + (best ? ' 🏅' : '') + '</td>';
+            });
+        }
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+
+    // most rows won, then imdb rating
+    var winner = 0;
+    movies.forEach(function (m, i) {
+        var better = wins[i] > wins[winner] ||
+            (wins[i] === wins[winner] && (parseFloat(m.imdbRating) || 0) > (parseFloat(movies[winner].imdbRating) || 0));
+        if (better) winner = i;
+    });
+    var w = movies[winner];
+    var shared = Object.keys(castCount).filter(function (a) { return castCount[a] > 1; });
+    var inList = watchlist.some(function (m) { return m.imdbID === w.imdbID; });
+
+    html = '<div class="compare-winner"><p>🏆 <strong>' + escapeHtml(w.Title) + '</strong> is best in ' + wins[winner] +
+        (wins[winner] !== 1 ? ' rows' : ' row') +
+        (shared.length ? ' · shared cast: ' + escapeHtml(shared.join(', ')) : '') + '</p>' +
+        '<button class="btn btn-primary btn-sm compare-add-btn" data-imdb-id="' + escapeHtml(w.imdbID) + '"' + (inList ? ' disabled' : '') + '>' +
+        (inList ? '✓ Already in your watchlist' : '+ Add winner to watchlist') + '</button></div>' +
+        '<div class="compare-scroll">' + html + '</div>';
+
+    compareBody.innerHTML = html;
+    compareModal.querySelector('.compare-add-btn').addEventListener('click', async function () {
+        var btn = this;
+        await addToWatchlist(btn.dataset.imdbId, btn);
+        if (watchlist.some(function (m) { return m.imdbID === btn.dataset.imdbId; })) {
+            btn.disabled = true;
+            btn.textContent = '✓ Added to your watchlist';
+        }
+    });
+}
+
+// WATCHLIST STUFF
+// there can be several named lists, `watchlist` always points at the movies of the current one
+
+function loadWatchlist() {
+    var saved = localStorage.getItem(LISTS_KEY);
+    if (saved) {
+        try {
+            var data = JSON.parse(saved);
+            lists = data.lists || [];
+            currentListId = data.current;
+        } catch (e) {
+            console.error('watchlist load error:', e);
+            lists = [];
+        }
+    }
+
+    if (lists.length === 0) {
+        migrateOldWatchlist();
+    }
+    if (!getList(currentListId)) {
+        currentListId = lists[0].id;
+    }
+
+    watchlist = getList(currentListId).movies;
+    renderListSelect();
+    updateWatchlistUI();
+}
+
+// before named lists there was just one array saved under WATCHLIST_KEY
+function migrateOldWatchlist() {
+    var old = [];
+    var saved = localStorage.getItem(WATCHLIST_KEY);
+    if (saved) {
+        try {
+            old = JSON.parse(saved);
+        } catch (e) {
+            console.error('old watchlist load error:', e);
+        }
+    }
+
+    lists = [makeList('My Watchlist', Array.isArray(old) ? old : [])];
+    currentListId = lists[0].id;
+    saveWatchlist();
+    localStorage.removeItem(WATCHLIST_KEY);
+}
+
+function saveWatchlist() {
+    localStorage.setItem(LISTS_KEY, JSON.stringify({ lists: lists, current: currentListId }));
+    queueSync();
+}
+
+function makeList(name, movieList) {
+    return {
+        id: 'list-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: name,
+        movies: movieList || []
+    };
+}
+
+function getList(id) {
+    return lists.find(function (l) { return l.id === id; }) || null;
+}
+
+function currentList() {
+    return getList(currentListId);
+}
+
+// asks for a list name, returns null if cancelled or empty
+function askListName(message, current) {
+    var name = prompt(message, current || '');
+    if (name === null) return null;
+    name = name.trim();
+    if (!name) {
+        toast('List name can\'t be empty', 'warning');
+        return null;
+    }
+    return name;
+}
+
+function createList() {
+    var name = askListName('Name for the new list:');
+    if (!name) return null;
+
+    var list = makeList(name);
+    lists.push(list);
+    switchList(list.id);
+    toast('Created "' + name + '"', 'success');
+    return list;
+}
+
+function renameList() {
+    var list = currentList();
+    var name = askListName('Rename "' + list.name + '" to:', list.name);
+    if (!name) return;
+
+    list.name = name;
+    saveWatchlist();
+    renderListSelect();
+}
+
+function deleteList() {
+    if (lists.length === 1) {
+        toast('You need at least one list', 'warning');
+        return;
+    }
+
+    var list = currentList();
+    if (!confirm('Delete "' + list.name + '" and its ' + list.movies.length + ' movies?')) return;
+
+    lists = lists.filter(function (l) { return l.id !== list.id; });
+    switchList(lists[0].id);
+    toast('Deleted "' + list.name + '"', 'success');
+}
+
+function switchList(id) {
+    currentListId = id;
+    watchlist = currentList().movies;
+    saveWatchlist();
+    renderListSelect();
+    updateWatchlistUI();
+    refreshWatchlistButtons();
+
+    // old results were for the other list
+    optimizeResults.classList.add('hidden');
+}
+
+function renderListSelect() {
+    var html = '';
+    for (var i = 0; i < lists.length; i++) {
+        html += '<option value="' + escapeHtml(lists[i].id) + '"' + (lists[i].id === currentListId ? ' selected' : '') + '>' +
+            escapeHtml(lists[i].name) + ' (' + lists[i].movies.length + ')</option>';
+    }
+    listSelect.innerHTML = html;
+    deleteListBtn.disabled = lists.length === 1;
+}
+
+// find the data we need to add a movie - results, other lists, or omdb
+async function findMovieForList(id) {
+    var movie = null;
+    for (var i = 0; i < movies.length; i++) {
+        if (movies[i].imdbID === id) {
+            movie = movies[i];
+            break;
+        }
+    }
+
+    if (!movie || !movie.Runtime) {
+        for (var i = 0; i < lists.length && !movie; i++) {
+            movie = lists[i].movies.find(function (m) { return m.imdbID === id; }) || null;
+        }
+    }
+
+    if (!movie || !movie.Runtime) {
+        movie = await getMovieDetails(id);
+    }
+    return movie;
+}
+
+// add or remove a movie from one list
+async function toggleInList(listId, id) {
+    var list = getList(listId);
+    var idx = list.movies.findIndex(function (m) { return m.imdbID === id; });
+
+    if (idx !== -1) {
+        // remove from list
+        list.movies.splice(idx, 1);
+        saveWatchlist();
+        renderListSelect();
+        updateWatchlistUI();
+        if (listId === currentListId) updateButtons(id, false);
+        toast('Removed from "' + list.name + '"', 'success');
+        return;
+    }
+
+    var movie = await findMovieForList(id);
+    if (!movie) {
+        toast('Failed to add movie', 'error');
+        return;
+    }
+
+    // add to list
+    list.movies.push(watchlistEntry(movie));
+
+    saveWatchlist();
+    renderListSelect();
+    updateWatchlistUI();
+    if (listId === currentListId) updateButtons(id, true);
+    toast('"' + movie.Title + '" added to "' + list.name + '"', 'success');
+}
+
+// movie, series or episode - from whatever we already have on screen,
+// and only then from its details
+async function itemType(id) {
+    var known = [currentMovie].concat(movies, forYouPool, compareMovies).find(function (m) {
+        return m && m.imdbID === id && m.Type;
+    }) || peopleIndex.movies[id];
+    if (known && known.Type) return known.Type;
+
+    var full = await getMovieDetails(id);
+    return full ? full.Type : '';
+}
+
+async function addToWatchlist(id, btn) {
+    // series are added by season or episode from their popup
+    if (await itemType(id) === 'series') {
+        if (!currentMovie || currentMovie.imdbID !== id) openMovie(id);
+        toast('Pick a season or episodes to add', 'info');
+        return;
+    }
+
+    // with more than one list, ask which one
+    if (lists.length > 1 && btn) {
+        openListMenu(id, btn);
+        return;
+    }
+    await toggleInList(currentListId, id);
+}
+
+// small popup next to a "+ Watchlist" button to pick the list
+function openListMenu(id, btn) {
+    listMenuMovieId = id;
+
+    var html = '<p class="list-menu-title">Save to...</p>';
+    for (var i = 0; i < lists.length; i++) {
+        var has = lists[i].movies.some(function (m) { return m.imdbID === id; });
+        html += '<button class="list-menu-item' + (has ? ' checked' : '') + '" data-list-id="' + escapeHtml(lists[i].id) + '">' +
+            (has ? '✓ ' : '+ ') + escapeHtml(lists[i].name) + '</button>';
+    }
+    html += '<button class="list-menu-item list-menu-new">＋ New list...</button>';
+    listMenu.innerHTML = html;
+
+    // show it under the button, kept inside the window
+    listMenu.classList.remove('hidden');
+    var r = btn.getBoundingClientRect();
+    var left = Math.min(r.left, window.innerWidth - listMenu.offsetWidth - 8);
+    var top = r.bottom + 4;
+    if (top + listMenu.offsetHeight > window.innerHeight) {
+        top = Math.max(8, r.top - listMenu.offsetHeight - 4);
+    }
+    listMenu.style.left = Math.max(8, left) + 'px';
+    listMenu.style.top = top + 'px';
+    listMenu.querySelector('.list-menu-item').focus();
+
+    var items = listMenu.querySelectorAll('.list-menu-item');
+    for (var i = 0; i < items.length; i++) {
+        items[i].addEventListener('click', function (e) {
+            e.stopPropagation();
+            var movieId = listMenuMovieId;
+            closeListMenu();
+
+            if (this.classList.contains('list-menu-new')) {
+                var list = createList();
+                if (list) toggleInList(list.id, movieId);
+            } else {
+                toggleInList(this.dataset.listId, movieId);
+            }
+        });
+    }
+}
+
+function closeListMenu() {
+    listMenu.classList.add('hidden');
+    listMenuMovieId = null;
+}
+
+// after switching lists every button on screen may be wrong
+function refreshWatchlistButtons() {
+    var btns = document.querySelectorAll('.add-watchlist-btn, .modal-watchlist-btn');
+    for (var i = 0; i < btns.length; i++) {
+        var id = btns[i].dataset.imdbId;
+        updateButtons(id, watchlist.some(function (m) { return m.imdbID === id; }));
+    }
+}
+
+// the fields we keep for each watchlist movie
+// episodes also keep where they belong, and their title gets the series' name
+function watchlistEntry(movie) {
+    var entry = {
+        imdbID: movie.imdbID,
+        Title: movie.Title,
+        Year: movie.Year,
+        Poster: movie.Poster,
+        Runtime: movie.Runtime || 'N/A',
+        imdbRating: movie.imdbRating || 'N/A',
+        Rated: movie.Rated || '',
+        Ratings: movie.Ratings || [],
+        criticScore: criticScore(movie)
+    };
+
+    if (movie.Type === 'episode') {
+        entry.Type = 'episode';
+        entry.Title = episodeTitle(movie);
+        entry.episodeTitle = movie.episodeTitle || movie.Title;
+        entry.seriesID = movie.seriesID;
+        entry.seriesTitle = movie.seriesTitle || '';
+        entry.Season = parseInt(movie.Season) || 0;
+        entry.Episode = parseInt(movie.Episode) || 0;
+    }
+    return entry;
+}
+
+// update all buttons for a movie
+function updateButtons(id, inList) {
+    var btns = document.querySelectorAll('.add-watchlist-btn[data-imdb-id="' + id + '"]');
+    for (var i = 0; i < btns.length; i++) {
+        var b = btns[i];
+        if (inList) {
+            b.classList.add('added');
+            b.textContent = '✓ In Watchlist';
+        } else {
+            b.classList.remove('added');
+            b.textContent = '+ Watchlist';
+        }
+    }
+
+    // modal button
+    var modalBtn = movieDetails.querySelector('.modal-watchlist-btn[data-imdb-id="' + id + '"]');
+    if (modalBtn) {
+        modalBtn.textContent = inList ? '✓ In Watchlist' : '+ Add to Watchlist';
+    }
+}
+
+function removeFromList(id) {
+    for (var i = 0; i < watchlist.length; i++) {
+        if (watchlist[i].imdbID === id) {
+            var movie = watchlist[i];
+            watchlist.splice(i, 1);
+            saveWatchlist();
+            updateWatchlistUI();
+            renderListSelect();
+            updateButtons(id, false);
+            toast('"' + movie.Title + '" removed', 'success');
+            break;
+        }
+    }
+}
+
+function updateWatchlistUI() {
+    renderParty();
+
+    // count and runtime only cover what family mode lets through
+    var shown = watchlist.filter(familyAllows);
+    var hidden = watchlist.length - shown.length;
+    var count = shown.length;
+    watchlistCountSpan.textContent = count + ' movie' + (count !== 1 ? 's' : '') +
+        (hidden > 0 ? ' · ' + familyHiddenText(hidden) : '');
+
+    if (watchlist.length === 0) {
+        emptyWatchlist.classList.remove('hidden');
+        watchlistUl.classList.add('hidden');
+        runtimeDiv.classList.add('hidden');
+        return;
+    }
+
+    emptyWatchlist.classList.add('hidden');
+    watchlistUl.classList.remove('hidden');
+    runtimeDiv.classList.toggle('hidden', count === 0);
+
+    // calc total runtime
+    var totalMins = getTotalRuntime(shown);
+    totalRuntimeSpan.textContent = formatTime(totalMins);
+
+    // build list html
+    var html = '';
+    for (var i = 0; i < shown.length; i++) {
+        var m = shown[i];
+        var id = escapeHtml(m.imdbID);
+        var runtime = parseTime(m.Runtime);
+        var rating = m.imdbRating && m.imdbRating !== 'N/A' ? escapeHtml(m.imdbRating) : '-';
+
+        // personal rating picker, 1-10
+        var mine = '<select class="watchlist-item-myrating" data-imdb-id="' + id + '" title="Your rating" aria-label="Your rating for ' + escapeHtml(m.Title) + '">' +
+            '<option value="">My ★</option>';
+        for (var r = 10; r >= 1; r--) {
+            mine += '<option value="' + r + '"' + (m.myRating === r ? ' selected' : '') + '>★ ' + r + '</option>';
+        }
+        mine += '</select>';
+
+        html += '<li class="watchlist-item" data-imdb-id="' + id + '">' +
+            '<div class="watchlist-item-poster">' + posterHtml(m) + '</div>' +
+            '<div class="watchlist-item-info">' +
+            '<h5 class="watchlist-item-title">' + escapeHtml(m.Title) + '</h5>' +
+            '<div class="watchlist-item-meta">' +
+            '<span class="watchlist-item-runtime">⏱️ ' + (runtime > 0 ? runtime + ' min' : 'N/A') + '</span>' +
+            '<span class="watchlist-item-rating">⭐ ' + rating + '</span>' +
+            criticBadge(m, 'watchlist-item-critic') +
+            mine +
+            '</div></div>' +
+            compareBtnHtml(m) +
+            '<button class="watchlist-item-watched" data-imdb-id="' + id + '" title="Mark as watched" aria-label="Mark ' + escapeHtml(m.Title) + ' as watched">✓</button>' +
+            '<button class="watchlist-item-remove" data-imdb-id="' + id + '" title="Remove" aria-label="Remove ' + escapeHtml(m.Title) + '">×</button>' +
+            '</li>';
+    }
+    if (hidden > 0) html += '<li class="form-help family-note">👪 ' + familyHiddenText(hidden) + '</li>';
+
+    watchlistUl.innerHTML = html;
+
+    var ratingSelects = watchlistUl.querySelectorAll('.watchlist-item-myrating');
+    for (var i = 0; i < ratingSelects.length; i++) {
+        ratingSelects[i].addEventListener('change', function () {
+            setMyRating(this.dataset.imdbId, this.value);
+        });
+    }
+
+    bindCompareBtns(watchlistUl);
+
+    var watchedBtns = watchlistUl.querySelectorAll('.watchlist-item-watched');
+    for (var i = 0; i < watchedBtns.length; i++) {
+        watchedBtns[i].addEventListener('click', function () {
+            openWatched(this.dataset.imdbId);
+        });
+    }
+
+    // remove button handlers
+    var removeBtns = watchlistUl.querySelectorAll('.watchlist-item-remove');
+    for (var i = 0; i < removeBtns.length; i++) {
+        removeBtns[i].addEventListener('click', function () {
+            removeFromList(this.dataset.imdbId);
+        });
+    }
+}
+
+function setMyRating(id, val) {
+    var entry = watchlist.find(function (m) { return m.imdbID === id; });
+    if (!entry) return;
+
+    if (val) {
+        entry.myRating = parseInt(val);
+    } else {
+        delete entry.myRating;
+    }
+    saveWatchlist();
+}
+
+// WATCH HISTORY
+
+function loadHistory() {
+    var saved = localStorage.getItem(HISTORY_KEY);
+    if (saved) {
+        try {
+            watchHistory = JSON.parse(saved);
+        } catch (e) {
+            console.error('history load error:', e);
+            watchHistory = [];
+        }
+    }
+    renderHistory();
+}
+
+function saveHistory() {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(watchHistory));
+    queueSync();
+}
+
+// open the popup to move a watchlist movie into history
+function openWatched(id) {
+    var entry = watchlist.find(function (m) { return m.imdbID === id; });
+    if (!entry) return;
+
+    watchedEdit = { imdbID: id };
+    fillWatched(entry.Title, dateValue(new Date()), entry.myRating || 7, '');
+}
+
+// same popup, for fixing an existing history entry
+function editHistory(index) {
+    var h = watchHistory[index];
+    watchedEdit = { index: index };
+    fillWatched(h.Title, h.watchedOn, h.myRating, h.note);
+}
+
+function fillWatched(title, date, rating, note) {
+    watchedTitle.textContent = title;
+    watchedDate.value = date;
+    watchedRating.value = rating;
+    watchedRatingValue.textContent = rating;
+    watchedNote.value = note || '';
+    openDialog(watchedModal);
+}
+
+function closeWatched() {
+    closeDialog(watchedModal);
+    watchedEdit = null;
+}
+
+function saveWatched() {
+    if (!watchedEdit) return;
+
+    if (!watchedDate.value) {
+        toast('Pick the date you watched it', 'warning');
+        return;
+    }
+
+    var rating = parseInt(watchedRating.value);
+    var note = watchedNote.value.trim();
+
+    if (watchedEdit.index !== undefined) {
+        var h = watchHistory[watchedEdit.index];
+        h.watchedOn = watchedDate.value;
+        h.myRating = rating;
+        h.note = note;
+        toast('History updated', 'success');
+    } else {
+        var id = watchedEdit.imdbID;
+        var idx = watchlist.findIndex(function (m) { return m.imdbID === id; });
+        if (idx === -1) {
+            closeWatched();
+            return;
+        }
+
+        var entry = Object.assign({}, watchlist[idx], {
+            watchedOn: watchedDate.value,
+            myRating: rating,
+            note: note,
+            list: currentList().name
+        });
+        watchHistory.push(entry);
+
+        // it's watched now, so off the list
+        watchlist.splice(idx, 1);
+        saveWatchlist();
+        renderListSelect();
+        updateWatchlistUI();
+        updateButtons(id, false);
+        toast('"' + entry.Title + '" marked as watched', 'success');
+    }
+
+    saveHistory();
+    renderHistory();
+    closeWatched();
+}
+
+function deleteHistory(index) {
+    var h = watchHistory[index];
+    if (!confirm('Remove "' + h.Title + '" from your history?')) return;
+
+    watchHistory.splice(index, 1);
+    saveHistory();
+    renderHistory();
+}
+
+function renderHistory() {
+    // newest first, yyyy-mm-dd sorts fine as text
+    watchHistory.sort(function (a, b) { return b.watchedOn.localeCompare(a.watchedOn); });
+
+    var count = watchHistory.length;
+    historyCountSpan.textContent = count + ' watched';
+    emptyHistory.classList.toggle('hidden', count > 0);
+    historyUl.classList.toggle('hidden', count === 0);
+
+    var html = '';
+    for (var i = 0; i < watchHistory.length; i++) {
+        var h = watchHistory[i];
+        var date = new Date(h.watchedOn + 'T00:00').toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+        html += '<li class="watchlist-item history-item">' +
+            '<div class="watchlist-item-poster">' + posterHtml(h) + '</div>' +
+            '<div class="watchlist-item-info">' +
+            '<h5 class="watchlist-item-title">' + escapeHtml(h.Title) + ' <span class="plan-keep-meta">(' + escapeHtml(h.Year) + ')</span></h5>' +
+            '<div class="watchlist-item-meta">' +
+            '<span>📅 ' + escapeHtml(date) + '</span>' +
+            '<span class="history-my-rating">★ ' + escapeHtml(h.myRating) + '/10</span>' +
+            '<span class="watchlist-item-rating">IMDb ' + (h.imdbRating && h.imdbRating !== 'N/A' ? escapeHtml(h.imdbRating) : '-') + '</span>' +
+            '</div>' +
+            (h.note ? '<p class="history-note">' + escapeHtml(h.note) + '</p>' : '') +
+            '</div>' +
+            '<button class="watchlist-item-watched history-edit" data-idx="' + i + '" title="Edit">✏️</button>' +
+            '<button class="watchlist-item-remove history-delete" data-idx="' + i + '" title="Remove from history">×</button>' +
+            '</li>';
+    }
+    historyUl.innerHTML = html;
+
+    var editBtns = historyUl.querySelectorAll('.history-edit');
+    for (var i = 0; i < editBtns.length; i++) {
+        editBtns[i].addEventListener('click', function () {
+            editHistory(parseInt(this.dataset.idx));
+        });
+    }
+
+    var deleteBtns = historyUl.querySelectorAll('.history-delete');
+    for (var i = 0; i < deleteBtns.length; i++) {
+        deleteBtns[i].addEventListener('click', function () {
+            deleteHistory(parseInt(this.dataset.idx));
+        });
+    }
+}
+
+function getTotalRuntime(list) {
+    var total = 0;
+    for (var i = 0; i < list.length; i++) {
+        total += parseTime(list[i].Runtime);
+    }
+    return total;
+}
+
+// what the optimizer has to fit - in party mode the runtime of vetoed movies doesn't count
+function planRuntime() {
+    return planItems().reduce(function (sum, m) { return sum + m.runtime; }, 0);
+}
+
+// FOR YOU
+
+function loadDismissed() {
+    var saved = localStorage.getItem(DISMISSED_KEY);
+    if (saved) {
+        try {
+            dismissed = JSON.parse(saved);
+        } catch (e) {
+            console.error('dismissed load error:', e);
+            dismissed = [];
+        }
+    }
+    updateDismissedBtn();
+}
+
+function saveDismissed() {
+    localStorage.setItem(DISMISSED_KEY, JSON.stringify(dismissed));
+}
+
+function updateDismissedBtn() {
+    resetDismissedBtn.textContent = 'Undo 👎 (' + dismissed.length + ')';
+    resetDismissedBtn.classList.toggle('hidden', dismissed.length === 0);
+}
+
+// every imdbID in any list or in history
+function savedIds() {
+    var ids = {};
+    for (var i = 0; i < lists.length; i++) {
+        for (var j = 0; j < lists[i].movies.length; j++) {
+            ids[lists[i].movies[j].imdbID] = true;
+        }
+    }
+    for (var i = 0; i < watchHistory.length; i++) {
+        ids[watchHistory[i].imdbID] = true;
+    }
+    return ids;
+}
+
+// how much a saved movie says about your taste
+// things you watched and rated low count against
+function tasteWeight(id) {
+    var h = watchHistory.find(function (e) { return e.imdbID === id; });
+    if (!h || !h.myRating) return 1;
+    if (h.myRating >= 7) return 1.5;
+    if (h.myRating >= 5) return 0.5;
+    return -1;
+}
+
+// the movies the profile is built from, newest first
+function tasteSourceIds() {
+    var ids = [];
+    var seen = {};
+    function add(id) {
+        if (seen[id]) return;
+        seen[id] = true;
+        ids.push(id);
+    }
+    for (var i = 0; i < watchHistory.length; i++) add(watchHistory[i].imdbID);
+    for (var i = 0; i < lists.length; i++) {
+        for (var j = lists[i].movies.length - 1; j >= 0; j--) add(lists[i].movies[j].imdbID);
+    }
+    return ids.slice(0, TASTE_SOURCES);
+}
+
+// add up genres, people, decades and ratings
+// sources are { movie, weight }, disliked are plain movies
+function buildTasteProfile(sources, disliked) {
+    var profile = { genres: {}, directors: {}, actors: {}, decades: {}, avgRating: 0, count: 0 };
+    var ratingTotal = 0;
+    var ratingCount = 0;
+
+    function add(map, key, w) {
+        map[key] = (map[key] || 0) + w;
+    }
+
+    function addMovie(m, w) {
+        splitList(m.Genre).forEach(function (g) { add(profile.genres, g, w); });
+        splitList(m.Director).forEach(function (d) { add(profile.directors, d, w); });
+        splitList(m.Actors).slice(0, 4).forEach(function (a) { add(profile.actors, a, w); });
+        var year = parseInt(m.Year);
+        if (year) add(profile.decades, Math.floor(year / 10) * 10, w);
+    }
+
+    for (var i = 0; i < sources.length; i++) {
+        var s = sources[i];
+        addMovie(s.movie, s.weight);
+        profile.count++;
+
+        var r = parseFloat(s.movie.imdbRating);
+        if (s.weight > 0 && !isNaN(r)) {
+            ratingTotal += r;
+            ratingCount++;
+        }
+    }
+
+    for (var i = 0; i < disliked.length; i++) {
+        addMovie(disliked[i], -DISLIKE_WEIGHT);
+    }
+
+    profile.avgRating = ratingCount ? ratingTotal / ratingCount : 0;
+    return profile;
+}
+
+// keys with a positive weight, best first
+function topKeys(map, count) {
+    return Object.keys(map)
+        .filter(function (k) { return map[k] > 0; })
+        .sort(function (a, b) { return map[b] - map[a]; })
+        .slice(0, count);
+}
+
+function maxWeight(map) {
+    var max = 0;
+    for (var k in map) max = Math.max(max, map[k]);
+    return max;
+}
+
+// 1990 -> "90s", 2010 -> "2010s"
+function decadeLabel(decade) {
+    decade = parseInt(decade);
+    return decade < 2000 ? String(decade).slice(2) + 's' : decade + 's';
+}
+
+// how well a movie fits the profile and why
+function scoreForProfile(profile, movie) {
+    var score = 0;
+    var reasons = [];
+
+    var topGenre = maxWeight(profile.genres);
+    var genres = splitList(movie.Genre);
+    if (topGenre > 0 && genres.length) {
+        var best = null;
+        var total = 0;
+        for (var i = 0; i < genres.length; i++) {
+            var w = profile.genres[genres[i]] || 0;
+            total += w / topGenre;
+            if (w > 0 && (!best || w > profile.genres[best])) best = genres[i];
+        }
+        score += tasteWeights.genre * total / genres.length;
+        if (best) reasons.push('you like ' + best);
+    }
+
+    var directors = splitList(movie.Director);
+    for (var i = 0; i < directors.length; i++) {
+        var w = profile.directors[directors[i]] || 0;
+        score += tasteWeights.director * w;
+        if (w > 0) reasons.push('more from ' + directors[i]);
+    }
+
+    var actors = splitList(movie.Actors);
+    var liked = [];
+    for (var i = 0; i < actors.length; i++) {
+        var w = profile.actors[actors[i]] || 0;
+        score += tasteWeights.actor * w;
+        if (w > 0) liked.push(actors[i]);
+    }
+    if (liked.length) reasons.push('stars ' + liked.slice(0, 2).join(', '));
+
+    var year = parseInt(movie.Year);
+    var topDecade = maxWeight(profile.decades);
+    if (year && topDecade > 0) {
+        var decade = Math.floor(year / 10) * 10;
+        var share = (profile.decades[decade] || 0) / topDecade;
+        score += tasteWeights.decade * share;
+        if (share >= 0.5) reasons.push('from the ' + decadeLabel(decade));
+    }
+
+    // closer to the ratings of what you save scores higher
+    var r = parseFloat(movie.imdbRating);
+    if (!isNaN(r) && profile.avgRating) {
+        score += tasteWeights.rating * Math.max(0, 1 - Math.abs(r - profile.avgRating) / 3);
+        if (r >= profile.avgRating) reasons.push('rated ' + r);
+    }
+
+    return {
+        score: Math.round(score * 100) / 100,
+        reasons: reasons.slice(0, 3)
+    };
+}
+
+// searches for new candidates - top genres, plus the top genre in your top decade
+function tasteSearches(profile) {
+    var searches = [];
+    var genres = topKeys(profile.genres, 3);
+    for (var i = 0; i < genres.length; i++) {
+        var term = (similarKeywords[genres[i]] || [genres[i].toLowerCase()])[0];
+        searches.push('s=' + encodeURIComponent(term) + '&type=movie');
+    }
+
+    var decade = topKeys(profile.decades, 1)[0];
+    if (genres.length && decade) {
+        var mainTerm = (similarKeywords[genres[0]] || [genres[0].toLowerCase()])[0];
+        searches.push('s=' + encodeURIComponent(mainTerm) + '&type=movie&y=' + (parseInt(decade) + 5));
+    }
+    return searches;
+}
+
+// build the profile, find candidates and show the best ones
+async function loadForYou() {
+    if (!hasApiKeys()) {
+        showApiModal();
+        return;
+    }
+
+    var ids = tasteSourceIds();
+    if (!ids.length) {
+        forYouSummary.textContent = 'Add some movies to a watchlist or your history first, then we can pick for you.';
+        forYouGrid.innerHTML = '';
+        return;
+    }
+
+    forYouBtn.disabled = true;
+    forYouSummary.textContent = 'Reading your taste from ' + ids.length + ' movies...';
+
+    try {
+        var details = await mapLimit(ids, 3, getMovieDetails);
+        tasteSources = [];
+        for (var i = 0; i < details.length; i++) {
+            if (details[i]) tasteSources.push({ movie: details[i], weight: tasteWeight(ids[i]) });
+        }
+
+        var profile = buildTasteProfile(tasteSources, dismissed);
+        var searches = tasteSearches(profile);
+        if (!searches.length) {
+            forYouSummary.textContent = 'Not enough to go on yet - save a few more movies you like.';
+            forYouGrid.innerHTML = '';
+            return;
+        }
+
+        forYouSummary.textContent = 'Finding movies you might like...';
+        var results = await Promise.all(searches.map(function (params) {
+            return omdbFetch(params, 'similar');
+        }));
+
+        // skip anything already saved or turned down
+        var skip = savedIds();
+        for (var i = 0; i < dismissed.length; i++) skip[dismissed[i].imdbID] = true;
+
+        var candidates = [];
+        for (var i = 0; i < results.length; i++) {
+            var r = results[i];
+            if (r.Response !== 'True' || !r.Search) continue;
+            for (var j = 0; j < r.Search.length; j++) {
+                var m = r.Search[j];
+                if (!skip[m.imdbID]) {
+                    skip[m.imdbID] = true;
+                    candidates.push(m);
+                }
+            }
+        }
+
+        var detailed = await mapLimit(candidates.slice(0, FOR_YOU_CANDIDATES), 3, function (m) {
+            return getMovieDetails(m.imdbID);
+        });
+        forYouPool = detailed.filter(function (m) { return m; });
+        renderForYou();
+    } catch (err) {
+        console.error('for you error:', err);
+        forYouSummary.textContent = 'Could not load picks right now.';
+    } finally {
+        forYouBtn.disabled = false;
+        forYouBtn.textContent = '🔄 New Picks';
+    }
+}
+
+// rank the pool against the current profile - no requests, so thumbs down is instant
+function renderForYou() {
+    var profile = buildTasteProfile(tasteSources, dismissed);
+    var skip = savedIds();
+    for (var i = 0; i < dismissed.length; i++) skip[dismissed[i].imdbID] = true;
+
+    var picks = [];
+    for (var i = 0; i < forYouPool.length; i++) {
+        var m = forYouPool[i];
+        if (skip[m.imdbID]) continue;
+        m.taste = scoreForProfile(profile, m);
+        picks.push(m);
+    }
+    picks.sort(function (a, b) { return b.taste.score - a.taste.score; });
+    var picked = familyPick(picks, FOR_YOU_SHOWN);
+    picks = picked.movies;
+
+    var likes = topKeys(profile.genres, 2);
+    var decade = topKeys(profile.decades, 1)[0];
+    forYouSummary.textContent = 'Based on ' + profile.count + ' saved movies' +
+        (likes.length ? ' · you like ' + likes.join(', ') : '') +
+        (decade ? ' · mostly the ' + decadeLabel(decade) : '') +
+        (picked.hidden > 0 ? ' · ' + familyHiddenText(picked.hidden) : '');
+
+    if (!picks.length) {
+        forYouGrid.innerHTML = '<p class="for-you-empty">No picks left - press New Picks for another round</p>';
+        return;
+    }
+
+    var html = '';
+    for (var i = 0; i < picks.length; i++) {
+        var m = picks[i];
+        html += '<div class="for-you-item">' + makeMovieCard(m) +
+            '<div class="for-you-why">' +
+            '<span>' + escapeHtml(m.taste.reasons.length ? 'because ' + m.taste.reasons.join(' · ') : 'something different') + '</span>' +
+            '<button class="btn btn-ghost btn-sm dismiss-btn" data-imdb-id="' + escapeHtml(m.imdbID) + '" title="Not for me">👎</button>' +
+            '</div></div>';
+    }
+    forYouGrid.innerHTML = html;
+    bindCards(forYouGrid);
+
+    var btns = forYouGrid.querySelectorAll('.dismiss-btn');
+    for (var i = 0; i < btns.length; i++) {
+        btns[i].addEventListener('click', function () {
+            dismissPick(this.dataset.imdbId);
+        });
+    }
+}
+
+// thumbs down - hide it and count its genres / people against the profile
+function dismissPick(id) {
+    var m = forYouPool.find(function (p) { return p.imdbID === id; });
+    if (!m) return;
+
+    dismissed.push({
+        imdbID: m.imdbID,
+        Title: m.Title,
+        Year: m.Year,
+        Genre: m.Genre,
+        Director: m.Director,
+        Actors: m.Actors
+    });
+    saveDismissed();
+    updateDismissedBtn();
+    renderForYou();
+    toast('Got it - fewer like ' + m.Title, 'info');
+}
+
+function resetDismissed() {
+    if (!confirm('Bring back all ' + dismissed.length + ' movies you turned down?')) return;
+    dismissed = [];
+    saveDismissed();
+    updateDismissedBtn();
+    if (forYouPool.length) renderForYou();
+}
+
+// IMPORT / EXPORT
+
+// fields that go in our own csv export
+const csvFields = ['imdbID', 'Title', 'Year', 'Runtime', 'imdbRating', 'Poster'];
+
+function exportJson() {
+    if (watchlist.length === 0) {
+        toast('Your watchlist is empty!', 'warning');
+        return;
+    }
+
+    var data = {
+        app: 'cinematch',
+        version: 1,
+        exported: new Date().toISOString(),
+        name: currentList().name,
+        watchlist: watchlist
+    };
+    downloadFile(exportName('json'), JSON.stringify(data, null, 2), 'application/json');
+    toast('Watchlist exported', 'success');
+}
+
+// file name based on the list name, like cinematch-date-night.json
+function exportName(ext) {
+    var slug = currentList().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return 'cinematch-' + (slug || 'watchlist') + '.' + ext;
+}
+
+// quote a csv value if it needs it
+function csvCell(val) {
+    var str = val === undefined || val === null ? '' : String(val);
+    if (/[",\r\n]/.test(str)) {
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+function exportCsv() {
+    if (watchlist.length === 0) {
+        toast('Your watchlist is empty!', 'warning');
+        return;
+    }
+
+    var lines = [csvFields.join(',')];
+    for (var i = 0; i < watchlist.length; i++) {
+        lines.push(csvFields.map(function (f) { return csvCell(watchlist[i][f]); }).join(','));
+    }
+    downloadFile(exportName('csv'), lines.join('\r\n') + '\r\n', 'text/csv');
+    toast('Watchlist exported', 'success');
+}
+
+// splits csv text into rows of cells, handles quotes and newlines inside quotes
+function parseCsv(text) {
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted = false;
+
+    text = text.replace(/^\ufeff/, ''); // excel adds a BOM
+
+    for (var i = 0; i < text.length; i++) {
+        var c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // skip blank lines
+    return rows.filter(function (r) { return r.some(function (c) { return c.trim(); }); });
+}
+
+// figures out which site a file came from and pulls out id/title/year for each row
+// returns { format, rows: [{ imdbID, title, year, label }] }
+function parseImport(text, fileName) {
+    var trimmed = text.trim();
+
+    if (/\.json$/i.test(fileName) || trimmed[0] === '[' || trimmed[0] === '{') {
+        var data = JSON.parse(trimmed);
+        var list = Array.isArray(data) ? data : data.watchlist;
+        if (!Array.isArray(list)) throw new Error('No watchlist in this JSON file');
+
+        return {
+            format: 'CineMatch JSON',
+            rows: list.map(function (m) {
+                // same checks as csv rows - the file could say anything
+                var id = String(m.imdbID || '').trim();
+                var title = typeof m.Title === 'string' ? m.Title.trim() : '';
+                return {
+                    imdbID: /^tt\d+$/.test(id) ? id : '',
+                    title: title,
+                    year: m.Year ? String(m.Year) : '',
+                    label: title || id || 'Untitled'
+                };
+            })
+        };
+    }
+
+    var csv = parseCsv(text);
+    if (csv.length < 2) throw new Error('The file has no rows');
+
+    var head = csv[0].map(function (h) { return h.trim(); });
+    var col = function (name) { return head.indexOf(name); };
+    var format, idCol, titleCol, yearCol;
+
+    if (col('Const') !== -1) {
+        format = 'IMDb list';
+        idCol = col('Const');
+        titleCol = col('Title');
+        yearCol = col('Year');
+    } else if (col('Letterboxd URI') !== -1 || col('Name') !== -1) {
+        format = 'Letterboxd';
+        idCol = -1;
+        titleCol = col('Name');
+        yearCol = col('Year');
+    } else if (col('imdbID') !== -1 || col('Title') !== -1) {
+        format = 'CineMatch CSV';
+        idCol = col('imdbID');
+        titleCol = col('Title');
+        yearCol = col('Year');
+    } else {
+        throw new Error('Unknown CSV format');
+    }
+
+    var rows = [];
+    for (var i = 1; i < csv.length; i++) {
+        var r = csv[i];
+        var id = idCol !== -1 ? (r[idCol] || '').trim() : '';
+        var title = titleCol !== -1 ? (r[titleCol] || '').trim() : '';
+        rows.push({
+            imdbID: /^tt\d+$/.test(id) ? id : '',
+            title: title,
+            year: yearCol !== -1 ? (r[yearCol] || '').trim() : '',
+            label: title || id || 'Row ' + (i + 1)
+        });
+    }
+
+    return { format: format, rows: rows };
+}
+
+// find the omdb movie for one import row
+async function matchImportRow(row) {
+    if (row.imdbID) {
+        var byId = await getMovieDetails(row.imdbID);
+        if (byId) return byId;
+    }
+    return findMovieByTitle(row.title, row.year);
+}
+
+async function handleImportFile(file) {
+    if (!hasApiKeys()) {
+        toast('Please configure your OMDB API key first', 'error');
+        showApiModal();
+        return;
+    }
+
+    var parsed;
+    try {
+        parsed = parseImport(await file.text(), file.name);
+    } catch (err) {
+        console.error('import parse error:', err);
+        toast('Could not read that file: ' + err.message, 'error');
+        return;
+    }
+
+    if (parsed.rows.length === 0) {
+        toast('No movies found in that file', 'warning');
+        return;
+    }
+
+    var run = ++importRun;
+    openDialog(importModal);
+    importBody.innerHTML = '<div class="loader-container"><div class="loader"><div class="loader-spinner"></div>' +
+        '<p>Matching ' + parsed.rows.length + ' rows from ' + escapeHtml(parsed.format) + ' with OMDB...</p></div></div>';
+    importConfirmBtn.disabled = true;
+
+    var matches = await mapLimit(parsed.rows, 3, matchImportRow);
+    var series = await mapLimit(matches, 3, isSeriesMatch);
+
+    // cancelled, or another file was picked, while we were matching
+    if (run !== importRun) return;
+    importPreview = buildImportPreview(parsed, matches, series);
+    renderImportPreview();
+}
+
+// series go on a list by season or episode, same as from a card
+async function isSeriesMatch(movie) {
+    return !!movie && await itemType(movie.imdbID) === 'series';
+}
+
+// a button in an import or share preview that opens the series to pick from
+function pickEpisodesBtnHtml(entry) {
+    return '<button class="btn btn-secondary btn-sm preview-episodes-btn" data-imdb-id="' + escapeHtml(entry.imdbID) + '"' +
+        ' aria-label="Pick seasons or episodes of ' + escapeHtml(entry.Title) + '">📺 Pick episodes</button>';
+}
+
+function bindPickEpisodes(container) {
+    var btns = container.querySelectorAll('.preview-episodes-btn');
+    for (var i = 0; i < btns.length; i++) {
+        btns[i].addEventListener('click', function () {
+            openMovie(this.dataset.imdbId);
+        });
+    }
+}
+
+// sorts every row into new / conflict / duplicate / series / unmatched
+// nothing is written until the user confirms
+function buildImportPreview(parsed, matches, series) {
+    var preview = { format: parsed.format, added: [], conflicts: [], duplicates: [], series: [], unmatched: [] };
+    var seen = {};
+
+    for (var i = 0; i < parsed.rows.length; i++) {
+        var row = parsed.rows[i];
+        var movie = matches[i];
+
+        if (!movie) {
+            preview.unmatched.push({ row: row });
+            continue;
+        }
+
+        var entry = watchlistEntry(movie);
+        if (series[i]) {
+            if (!seen[entry.imdbID]) preview.series.push({ row: row, entry: entry });
+            seen[entry.imdbID] = true;
+            continue;
+        }
+        if (seen[entry.imdbID]) {
+            preview.duplicates.push({ row: row, entry: entry, reason: 'listed twice in the file' });
+            continue;
+        }
+        seen[entry.imdbID] = true;
+
+        var existing = watchlist.find(function (m) { return m.imdbID === entry.imdbID; });
+        if (!existing) {
+            preview.added.push({ row: row, entry: entry });
+            continue;
+        }
+
+        // same movie but the saved info is different
+        var changes = [];
+        ['Title', 'Year', 'Runtime', 'imdbRating'].forEach(function (f) {
+            if (String(existing[f]) !== String(entry[f])) {
+                changes.push(f + ': ' + existing[f] + ' → ' + entry[f]);
+            }
+        });
+
+        if (changes.length > 0) {
+            preview.conflicts.push({ row: row, entry: entry, changes: changes, myRating: existing.myRating });
+        } else {
+            preview.duplicates.push({ row: row, entry: entry, reason: 'already in your watchlist' });
+        }
+    }
+
+    return preview;
+}
+
+function renderImportPreview() {
+    var p = importPreview;
+    var html = '<p class="import-summary">From <strong>' + escapeHtml(p.format) + '</strong> into <strong>' + escapeHtml(currentList().name) + '</strong>: ' +
+        p.added.length + ' new, ' + p.conflicts.length + ' conflicts, ' +
+        p.duplicates.length + ' duplicates, ' + (p.series.length ? p.series.length + ' series, ' : '') + p.unmatched.length + ' not found</p>';
+
+    if (p.added.length > 0) {
+        html += '<h3 class="import-heading">✨ New</h3><ul class="import-list">';
+        for (var i = 0; i < p.added.length; i++) {
+            var e = p.added[i].entry;
+            html += '<li class="import-row"><label>' +
+                '<input type="checkbox" class="import-add" data-idx="' + i + '" checked> ' +
+                escapeHtml(e.Title) + ' <span class="plan-keep-meta">(' + escapeHtml(e.Year) + ')</span></label></li>';
+        }
+        html += '</ul>';
+    }
+
+    if (p.conflicts.length > 0) {
+        html += '<h3 class="import-heading">⚖️ Conflicts</h3><ul class="import-list">';
+        for (var i = 0; i < p.conflicts.length; i++) {
+            var c = p.conflicts[i];
+            html += '<li class="import-row import-conflict">' +
+                '<span>' + escapeHtml(c.entry.Title) + '</span>' +
+                '<span class="plan-keep-meta">' + escapeHtml(c.changes.join(', ')) + '</span>' +
+                '<label><input type="radio" name="conflict-' + i + '" value="keep" checked> Keep mine</label>' +
+                '<label><input type="radio" name="conflict-' + i + '" value="replace" class="import-replace" data-idx="' + i + '"> Use imported info' +
+                (c.myRating ? ' <span class="plan-keep-meta">(keeps your ★ ' + escapeHtml(c.myRating) + ')</span>' : '') + '</label>' +
+                '</li>';
+        }
+        html += '</ul>';
+    }
+
+    if (p.duplicates.length > 0) {
+        html += '<h3 class="import-heading">🔁 Duplicates (skipped)</h3><ul class="import-list">';
+        for (var i = 0; i < p.duplicates.length; i++) {
+            var dup = p.duplicates[i];
+            html += '<li class="import-row"><span>' + escapeHtml(dup.entry.Title) + '</span>' +
+                '<span class="plan-keep-meta">' + dup.reason + '</span></li>';
+        }
+        html += '</ul>';
+    }
+
+    if (p.series.length > 0) {
+        html += '<h3 class="import-heading">📺 Series (pick episodes to add)</h3><ul class="import-list">';
+        for (var i = 0; i < p.series.length; i++) {
+            var se = p.series[i].entry;
+            html += '<li class="import-row"><span>' + escapeHtml(se.Title) + '</span>' + pickEpisodesBtnHtml(se) + '</li>';
+        }
+        html += '</ul>';
+    }
+
+    if (p.unmatched.length > 0) {
+        html += '<h3 class="import-heading">❓ Not found on OMDB (skipped)</h3><ul class="import-list">';
+        for (var i = 0; i < p.unmatched.length; i++) {
+            var row = p.unmatched[i].row;
+            html += '<li class="import-row"><span>' + escapeHtml(row.label) + '</span>' +
+                '<span class="plan-keep-meta">' + escapeHtml(row.year) + '</span></li>';
+        }
+        html += '</ul>';
+    }
+
+    importBody.innerHTML = html;
+    bindPickEpisodes(importBody);
+    importConfirmBtn.disabled = p.added.length === 0 && p.conflicts.length === 0;
+}
+
+function confirmImport() {
+    if (!importPreview) return;
+
+    var added = 0;
+    var replaced = 0;
+
+    var adds = importBody.querySelectorAll('.import-add:checked');
+    for (var i = 0; i < adds.length; i++) {
+        var entry = importPreview.added[adds[i].dataset.idx].entry;
+        watchlist.push(entry);
+        updateButtons(entry.imdbID, true);
+        added++;
+    }
+
+    var swaps = importBody.querySelectorAll('.import-replace:checked');
+    for (var i = 0; i < swaps.length; i++) {
+        var entry = importPreview.conflicts[swaps[i].dataset.idx].entry;
+        for (var j = 0; j < watchlist.length; j++) {
+            if (watchlist[j].imdbID === entry.imdbID) {
+                // the import only carries movie info, so your rating and anything else stays
+                watchlist[j] = Object.assign({}, watchlist[j], entry);
+                replaced++;
+            }
+        }
+    }
+
+    saveWatchlist();
+    renderListSelect();
+    updateWatchlistUI();
+    closeImport();
+    toast('Imported ' + added + ' movie' + (added !== 1 ? 's' : '') +
+        (replaced ? ', updated ' + replaced : ''), 'success');
+}
+
+function closeImport() {
+    closeDialog(importModal);
+    importPreview = null;
+    importRun++;
+    importFileInput.value = '';
+}
+
+// SHARE LINKS
+// #/shared/<code>, where the code is the list packed into bytes: version, name
+// length, name (utf-8), movie count, then the number part of each imdb id as a
+// varint. each number is stored as the difference from the one before, so ids
+// close together take 1-3 bytes. base64url makes it safe in a url - a movie
+// costs about 5 characters, so even long lists make a link you can paste
+
+function pushVarint(bytes, n) {
+    while (n >= 128) {
+        bytes.push(n % 128 + 128);
+        n = Math.floor(n / 128);
+    }
+    bytes.push(n);
+}
+
+function readVarint(bytes, pos) {
+    var n = 0;
+    var scale = 1;
+    while (true) {
+        if (pos.i >= bytes.length || scale > Math.pow(128, 5)) throw new Error('share code is cut off');
+        var b = bytes[pos.i++];
+        n += (b % 128) * scale;
+        if (b < 128) return n;
+        scale *= 128;
+    }
+}
+
+function encodeShare(name, ids) {
+    var nameBytes = new TextEncoder().encode(name);
+    var nums = ids.filter(function (id) { return /^tt\d+$/.test(id); })
+        .slice(0, SHARE_MAX)
+        .map(function (id) { return parseInt(id.slice(2), 10); });
+
+    var bytes = [SHARE_VERSION];
+    pushVarint(bytes, nameBytes.length);
+    nameBytes.forEach(function (b) { bytes.push(b); });
+    pushVarint(bytes, nums.length);
+
+    var prev = 0;
+    nums.forEach(function (n) {
+        var diff = n - prev;
+        pushVarint(bytes, diff >= 0 ? diff * 2 : -diff * 2 - 1); // sign goes in the low bit
+        prev = n;
+    });
+
+    return btoa(String.fromCharCode.apply(null, bytes))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// gives { name, ids }, throws if the code is damaged
+function decodeShare(code) {
+    var raw = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    var bytes = [];
+    for (var i = 0; i < raw.length; i++) bytes.push(raw.charCodeAt(i));
+
+    if (bytes[0] !== SHARE_VERSION) throw new Error('unknown share link version');
+    var pos = { i: 1 };
+    var nameLength = readVarint(bytes, pos);
+    if (pos.i + nameLength > bytes.length) throw new Error('share code is cut off');
+    var name = new TextDecoder().decode(new Uint8Array(bytes.slice(pos.i, pos.i + nameLength)));
+    pos.i += nameLength;
+
+    var count = readVarint(bytes, pos);
+    if (count > SHARE_MAX) throw new Error('too many movies in share link');
+
+    var ids = [];
+    var prev = 0;
+    for (var j = 0; j < count; j++) {
+        var z = readVarint(bytes, pos);
+        prev += z % 2 ? -(z + 1) / 2 : z / 2;
+        if (prev < 0) throw new Error('bad id in share link');
+        ids.push('tt' + String(prev).padStart(7, '0'));
+    }
+
+    return { name: name.trim() || 'Shared list', ids: ids };
+}
+
+function shareRoute(code) {
+    return '#/shared/' + code;
+}
+
+async function shareList() {
+    var list = currentList();
+    if (list.movies.length === 0) {
+        toast('Your watchlist is empty!', 'warning');
+        return;
+    }
+
+    var url = location.href.split('#')[0] + shareRoute(encodeShare(list.name, list.movies.map(function (m) { return m.imdbID; })));
+    try {
+        await navigator.clipboard.writeText(url);
+        toast('Link to "' + list.name + '" copied', 'success');
+    } catch (err) {
+        // no clipboard access (http page, old browser) - let them copy it
+        prompt('Copy this link to share "' + list.name + '":', url);
+    }
+}
+
+// read-only look at a shared list, nothing is saved until an import button
+async function openShared(code) {
+    var shared;
+    try {
+        shared = decodeShare(code);
+    } catch (err) {
+        console.error('share link error:', err);
+        toast('That share link is broken or incomplete', 'error');
+        replaceRoute('#/');
+        return;
+    }
+
+    sharedPreview = {
+        code: code,
+        name: shared.name,
+        loading: hasApiKeys(),
+        rows: shared.ids.map(function (id) { return { imdbID: id, entry: null }; })
+    };
+    openDialog(sharedModal);
+    renderSharedTargets();
+    renderSharedPreview();
+
+    if (!hasApiKeys()) return;
+
+    var details = await mapLimit(shared.ids, 3, getMovieDetails);
+    var series = await mapLimit(details, 3, isSeriesMatch);
+    // closed, or another link was opened meanwhile
+    if (!sharedPreview || sharedPreview.code !== code) return;
+
+    details.forEach(function (movie, i) {
+        if (!movie) return;
+        sharedPreview.rows[i].entry = watchlistEntry(movie);
+        sharedPreview.rows[i].series = series[i];
+    });
+    sharedPreview.loading = false;
+    renderSharedPreview();
+}
+
+// import into a new list named after the shared one, or merge into one of ours
+function renderSharedTargets() {
+    var html = '<option value="">New list "' + escapeHtml(sharedPreview.name) + '"</option>';
+    for (var i = 0; i < lists.length; i++) {
+        html += '<option value="' + escapeHtml(lists[i].id) + '">Merge into "' + escapeHtml(lists[i].name) + '"</option>';
+    }
+    sharedTarget.innerHTML = html;
+}
+
+function renderSharedPreview() {
+    var p = sharedPreview;
+    var target = getList(sharedTarget.value);
+    var found = p.rows.filter(function (r) { return r.entry; }).length;
+    var hidden = p.rows.filter(function (r) { return r.entry && !familyAllows(r.entry); }).length;
+    var pickable = p.rows.filter(function (r) { return r.entry && familyAllows(r.entry) && !r.series; }).length;
+
+    var html = '<p class="import-summary"><strong>' + escapeHtml(p.name) + '</strong>: ' + p.rows.length + ' movies';
+    if (p.loading) html += ', loading details...';
+    else if (!hasApiKeys()) html += ' - add your OMDB key in Settings to see them';
+    else if (found < p.rows.length) html += ', ' + (p.rows.length - found) + ' not found on OMDB';
+    if (hidden > 0) html += ', ' + familyHiddenText(hidden);
+    var seriesCount = p.rows.filter(function (r) { return r.series; }).length;
+    if (seriesCount > 0) html += ', ' + seriesCount + ' series - pick their episodes';
+    html += '</p><ul class="import-list">';
+
+    for (var i = 0; i < p.rows.length; i++) {
+        var e = p.rows[i].entry;
+        if (e && !familyAllows(e)) continue;
+        var series = p.rows[i].series;
+        var have = e && target && target.movies.some(function (m) { return m.imdbID === e.imdbID; });
+        html += '<li class="import-row"><label>' +
+            '<input type="checkbox" class="shared-pick" data-idx="' + i + '"' + (e && !have && !series ? ' checked' : '') + (e && !series ? '' : ' disabled') + '> ';
+        if (e) {
+            html += escapeHtml(e.Title) + ' <span class="plan-keep-meta">(' + escapeHtml(e.Year) + ', ' + escapeHtml(e.Runtime) + ')</span>';
+        } else {
+            html += '<span class="plan-keep-meta">' + escapeHtml(p.rows[i].imdbID) + '</span>';
+        }
+        html += '</label>';
+        if (have) html += '<span class="plan-keep-meta">already in "' + escapeHtml(target.name) + '"</span>';
+        if (series) html += pickEpisodesBtnHtml(e);
+        html += '</li>';
+    }
+    html += '</ul>';
+
+    sharedBody.innerHTML = html;
+    bindPickEpisodes(sharedBody);
+    sharedSelectedBtn.disabled = pickable === 0;
+    sharedAllBtn.disabled = pickable === 0;
+}
+
+function importShared(all) {
+    var p = sharedPreview;
+    if (!p) return;
+
+    var entries = [];
+    var picks = sharedBody.querySelectorAll('.shared-pick');
+    for (var i = 0; i < picks.length; i++) {
+        var row = p.rows[picks[i].dataset.idx];
+        if (row.entry && !row.series && (all || picks[i].checked)) entries.push(row.entry);
+    }
+    if (entries.length === 0) {
+        toast('Pick at least one movie', 'warning');
+        return;
+    }
+
+    var list = getList(sharedTarget.value);
+    if (!list) {
+        list = makeList(p.name);
+        lists.push(list);
+    }
+
+    var added = 0;
+    entries.forEach(function (entry) {
+        if (list.movies.some(function (m) { return m.imdbID === entry.imdbID; })) return;
+        list.movies.push(entry);
+        added++;
+    });
+
+    closeShared();
+    switchList(list.id);
+    var skipped = entries.length - added;
+    toast('Added ' + added + ' movie' + (added !== 1 ? 's' : '') + ' to "' + list.name + '"' +
+        (skipped ? ' (' + skipped + ' already there)' : ''), 'success');
+}
+
+// the link's route goes too, so a reload doesn't bring the preview back
+function closeShared(fromRoute) {
+    closeDialog(sharedModal);
+    sharedPreview = null;
+    if (!fromRoute && parseRoute(location.hash).name === 'shared') {
+        replaceRoute(backgroundRoute());
+    }
+}
+
+// OPTIMIZER
+
+async function optimize() {
+    if (party.on && party.people.length === 0) {
+        toast('Add who\'s coming to the party first', 'warning');
+        return;
+    }
+    if (family.on) await rateWatchlist();
+    if (ratingPrefs.mode === 'critic') await fillRatings();
+
+    if (planMode === 'sessions') {
+        scheduleSessions();
+        return;
+    }
+
+    var hrs = parseFloat(timeInput.value);
+
+    if (isNaN(hrs) || hrs <= 0) {
+        toast('Enter a valid time in hours', 'warning');
+        return;
+    }
+
+    if (watchlist.length === 0) {
+        toast('Your watchlist is empty!', 'warning');
+        return;
+    }
+
+    var availMins = hrs * 60;
+    var totalMins = planRuntime();
+    var goal = goalSelect.value || 'rating';
+
+    optimizeResults.classList.remove('hidden');
+
+    if (totalMins <= availMins) {
+        // everything fits!
+        optimizeResults.innerHTML = '<div class="optimization-success">' +
+            '<span class="result-icon">🎉</span>' +
+            '<h4>Perfect! You can watch everything!</h4>' +
+            '<p>Your watchlist (' + formatTime(totalMins) + ') fits in your available time (' + formatTime(availMins) + ').</p>' +
+            '<p style="margin-top: 1rem; color: var(--text-muted);">You have ' + formatTime(availMins - totalMins) + ' to spare!</p>' +
+            partyNote(makePlan(planItems(), [], goal)) +
+            familyNote() +
+            '</div>';
+    } else {
+        // need to drop some movies
+        var best = findMoviesToDrop(availMins, goal);
+        var greedy = greedyDrop(availMins, totalMins, goal);
+        showOptimizeSuggestions(best, greedy, totalMins, availMins, goal);
+    }
+}
+
+function loadRatingPrefs() {
+    var saved = localStorage.getItem(RATING_PREFS_KEY);
+    if (saved) {
+        try {
+            ratingPrefs = Object.assign(ratingPrefs, JSON.parse(saved));
+        } catch (e) {
+            console.error('rating prefs load error:', e);
+        }
+    }
+    ratingModeSelect.value = ratingPrefs.mode;
+    blendInput.value = ratingPrefs.weight;
+    blendGroup.classList.toggle('hidden', ratingPrefs.mode !== 'blend');
+}
+
+function saveRatingPrefs() {
+    localStorage.setItem(RATING_PREFS_KEY, JSON.stringify(ratingPrefs));
+}
+
+// the user's own rating - set on the watchlist, or from an earlier watch
+function personalRating(movie) {
+    if (movie.myRating) return movie.myRating;
+
+    var past = watchHistory.find(function (h) { return h.imdbID === movie.imdbID; });
+    return past ? past.myRating : null;
+}
+
+// the rating the optimizer uses, based on the rating source setting
+// falls back to whichever rating exists, and only then to DEFAULT_RATING
+// source says where the number came from so the results can show it
+function movieRating(movie) {
+    var imdb = parseFloat(movie.imdbRating);
+    var mine = personalRating(movie);
+    var hasImdb = !isNaN(imdb);
+
+    if (ratingPrefs.mode === 'critic') {
+        var critic = savedCriticScore(movie);
+        if (critic !== null) return { value: critic / 10, source: 'critic' };
+    }
+    if (ratingPrefs.mode === 'blend' && mine && hasImdb) {
+        var w = ratingPrefs.weight / 100;
+        return { value: Math.round((mine * w + imdb * (1 - w)) * 10) / 10, source: 'blend' };
+    }
+    if (ratingPrefs.mode !== 'imdb' && mine) return { value: mine, source: 'mine' };
+    if (hasImdb) return { value: imdb, source: 'imdb' };
+    if (mine) return { value: mine, source: 'mine' };
+    return { value: DEFAULT_RATING, source: 'default' };
+}
+
+// "7.5" or "8 (mine)" etc for the results
+function ratingLabel(item) {
+    var labels = { mine: ' (mine)', blend: ' (blend)', party: ' (group)', critic: ' (critics)', 'default': ' (no rating)' };
+    var val = ['imdb', 'blend', 'party', 'critic'].indexOf(item.ratingSource) !== -1
+        ? item.rating.toFixed(1) : item.rating;
+    return val + (labels[item.ratingSource] || '');
+}
+
+// the rating the optimizer works with - the group's score in party mode
+function planRating(movie) {
+    if (party.on && party.people.length > 0) return { value: groupScore(movie), source: 'party' };
+    return movieRating(movie);
+}
+
+// calc efficiency = rating / runtime
+function calcEfficiency(movie) {
+    var runtime = parseTime(movie.Runtime);
+    var rating = planRating(movie).value;
+
+    if (runtime <= 0) return 0;
+    return rating / runtime;
+}
+
+// how much a movie is worth for the chosen goal
+// ratings are kept x10 so the sums stay whole numbers
+function goalValue(movie, goal) {
+    if (goal === 'count') return 1;
+    if (goal === 'minutes') return movie.runtime;
+    return Math.round(movie.rating * 10);
+}
+
+function formatGoalValue(value, goal) {
+    if (goal === 'count') return value + ' movie' + (value !== 1 ? 's' : '');
+    if (goal === 'minutes') return formatTime(value);
+    return (value / 10).toFixed(1) + ' total rating';
+}
+
+// copy of a watchlist entry with the numbers the optimizer needs
+function toPlanItem(m) {
+    var rating = planRating(m);
+    return {
+        imdbID: m.imdbID,
+        Title: m.Title,
+        Runtime: m.Runtime,
+        imdbRating: m.imdbRating,
+        Ratings: m.Ratings,
+        chain: m.Type === 'episode' ? m.seriesID : '', // episodes of one series, watched in order
+        rating: rating.value,
+        ratingSource: rating.source,
+        runtime: parseTime(m.Runtime),
+        efficiency: calcEfficiency(m),
+        fans: party.on ? partyFans(m) : []
+    };
+}
+
+// everything the optimizer gets to choose from - vetoed movies are out in party mode
+// episodes are ordered by series, and one that's left out takes the rest of its
+// series with it - so episode 5 is never planned without 1-4
+function planItems() {
+    var cut = {};
+    return orderEpisodes(watchlist).filter(function (m) {
+        var ok = (!party.on || vetoedBy(m).length === 0) && familyAllows(m);
+        if (m.Type === 'episode') {
+            if (cut[m.seriesID]) return false;
+            if (!ok) cut[m.seriesID] = true;
+        }
+        return ok;
+    }).map(toPlanItem);
+}
+
+// a series' episodes next to each other and in order, where its first one is on the list
+function orderEpisodes(list) {
+    var out = [];
+    var done = {};
+    list.forEach(function (m) {
+        if (m.Type !== 'episode') {
+            out.push(m);
+            return;
+        }
+        if (done[m.seriesID]) return;
+        done[m.seriesID] = true;
+
+        var eps = list.filter(function (e) { return e.Type === 'episode' && e.seriesID === m.seriesID; });
+        eps.sort(function (a, b) { return a.Season - b.Season || a.Episode - b.Episode; });
+        out = out.concat(eps);
+    });
+    return out;
+}
+
+// runs of plan items the optimizer must take from the front - one per series,
+// and every movie on its own
+function planGroups(items) {
+    var groups = [];
+    for (var i = 0; i < items.length; i++) {
+        var last = groups[groups.length - 1];
+        if (items[i].chain && last && last[0].chain === items[i].chain) last.push(items[i]);
+        else groups.push([items[i]]);
+    }
+    return groups;
+}
+
+// " · for Ana, Sam" after a picked movie in party mode
+function fansLabel(item) {
+    if (!party.on || party.people.length === 0) return '';
+    return ' · ' + (item.fans.length > 0 ? 'for ' + item.fans.join(', ') : 'for the group');
+}
+
+// lets the user know when the made-up default rating was used
+function defaultRatingNote(plan) {
+    var all = plan.moviesToKeep.concat(plan.moviesToDrop);
+    var n = all.filter(function (m) { return m.ratingSource === 'default'; }).length;
+    if (n === 0) return '';
+
+    return '<p class="form-help">' + n + (n !== 1 ? ' movies have' : ' movie has') +
+        ' no IMDb or personal rating and ' + (n !== 1 ? 'count' : 'counts') + ' as ' + DEFAULT_RATING + '.</p>';
+}
+
+// builds the result object both optimizers return
+function makePlan(keep, drop, goal) {
+    var runtime = 0;
+    var value = 0;
+    for (var i = 0; i < keep.length; i++) {
+        runtime += keep[i].runtime;
+        value += goalValue(keep[i], goal);
+    }
+    return { moviesToKeep: keep, moviesToDrop: drop, newRuntime: runtime, value: value };
+}
+
+// knapsack over whole minutes
+// finds the items with the highest total value that fit in cap minutes
+// gap is extra time each item needs after it (breaks between movies)
+// ties on the main goal are broken by total rating
+// a series' episodes are one group that can only be taken from the start
+// (first k episodes), a movie is a group of one - so for movies only this is 0/1
+function bestSubset(items, cap, goal, gap) {
+    gap = gap || 0;
+    cap = Math.floor(cap);
+
+    // best[w] / tie[w] = best value using at most w minutes
+    var best = new Array(cap + 1).fill(0);
+    var tie = new Array(cap + 1).fill(0);
+    var groups = planGroups(items);
+    var took = [];
+
+    for (var g = 0; g < groups.length; g++) {
+        var group = groups[g];
+        var nextBest = best.slice();
+        var nextTie = tie.slice();
+        took.push(new Uint16Array(cap + 1)); // how many from the front of the group
+
+        var len = 0;
+        var val = 0;
+        var rate = 0;
+        for (var k = 1; k <= group.length; k++) {
+            len += group[k - 1].runtime + gap;
+            val += goalValue(group[k - 1], goal);
+            rate += goalValue(group[k - 1], 'rating');
+
+            // reads the table from before this group, so a group is only used once
+            for (var w = cap; w >= len; w--) {
+                var v = best[w - len] + val;
+                var t = tie[w - len] + rate;
+                if (v > nextBest[w] || (v === nextBest[w] && t > nextTie[w])) {
+                    nextBest[w] = v;
+                    nextTie[w] = t;
+                    took[g][w] = k;
+                }
+            }
+        }
+        best = nextBest;
+        tie = nextTie;
+    }
+
+    // walk back through the table to see which movies were picked
+    var keep = [];
+    var drop = [];
+    var left = cap;
+    for (var g = groups.length - 1; g >= 0; g--) {
+        var k = took[g][left];
+        keep = groups[g].slice(0, k).concat(keep);
+        drop = groups[g].slice(k).concat(drop);
+        for (var i = 0; i < k; i++) {
+            left -= groups[g][i].runtime + gap;
+        }
+    }
+
+    return { keep: keep, drop: drop };
+}
+
+// best set of watchlist movies for one block of time
+function findMoviesToDrop(availMins, goal) {
+    var picked = bestSubset(planItems(), availMins, goal);
+    return makePlan(picked.keep, picked.drop, goal);
+}
+
+// the old way - drop lowest efficiency movies until it fits
+// only kept around so the results can show the difference
+function greedyDrop(availMins, totalMins, goal) {
+    var keep = planItems();
+    var drop = [];
+    var current = totalMins;
+
+    while (keep.length > 0 && current > availMins) {
+        // lowest efficiency first - of a series only its last episode left can go
+        var worst = -1;
+        for (var i = 0; i < keep.length; i++) {
+            var next = keep[i + 1];
+            if (keep[i].chain && next && next.chain === keep[i].chain) continue;
+            if (worst === -1 || keep[i].efficiency < keep[worst].efficiency) worst = i;
+        }
+        current -= keep[worst].runtime;
+        drop.push(keep.splice(worst, 1)[0]);
+    }
+
+    return makePlan(keep, drop, goal);
+}
+
+// html for one side of the comparison
+function planColumnHtml(plan, title, goal, withButtons) {
+    var html = '<div class="plan-column' + (withButtons ? ' plan-best' : '') + '">' +
+        '<h5 class="plan-title">' + title + '</h5>' +
+        '<p class="plan-summary">Keeps ' + plan.moviesToKeep.length + ' of ' + watchlist.length +
+        ' | ' + formatTime(plan.newRuntime) + ' | ' + formatGoalValue(plan.value, goal) + '</p>';
+
+    html += '<p class="plan-label">Drop</p><div class="suggestions-list">';
+    if (plan.moviesToDrop.length === 0) {
+        html += '<p class="plan-empty">Nothing</p>';
+    }
+    for (var i = 0; i < plan.moviesToDrop.length; i++) {
+        var m = plan.moviesToDrop[i];
+        html += '<div class="suggestion-item">' +
+            '<div class="suggestion-info">' +
+            '<span class="suggestion-title">' + escapeHtml(m.Title) + '</span>' +
+            '<span class="suggestion-meta">⏱️ ' + m.runtime + ' min | ⭐ ' + escapeHtml(ratingLabel(m)) + ' | Efficiency: ' + m.efficiency.toFixed(4) + '</span>' +
+            '</div>';
+        if (withButtons) {
+            html += '<div class="suggestion-action">' +
+                '<button class="btn btn-danger btn-sm drop-btn" data-imdb-id="' + escapeHtml(m.imdbID) + '">Drop</button>' +
+                '</div>';
+        }
+        html += '</div>';
+    }
+    html += '</div>';
+
+    html += '<p class="plan-label">Watch</p><ul class="plan-keep-list">';
+    for (var i = 0; i < plan.moviesToKeep.length; i++) {
+        var k = plan.moviesToKeep[i];
+        html += '<li><span>' + escapeHtml(k.Title) + '</span><span class="plan-keep-meta">' +
+            (k.runtime > 0 ? k.runtime + ' min' : 'N/A') + escapeHtml(fansLabel(k)) + '</span></li>';
+    }
+    html += '</ul></div>';
+
+    return html;
+}
+
+function showOptimizeSuggestions(best, greedy, totalMins, availMins, goal) {
+    var excess = totalMins - availMins;
+    var newRuntime = best.newRuntime;
+
+    // tell the user what the exact optimizer gained over the old method
+    var diff = best.value - greedy.value;
+    var diffText = diff > 0
+        ? 'The best plan beats the greedy one by ' + formatGoalValue(diff, goal) + '.'
+        : 'Both methods agree on ' + optimizeGoals[goal] + ' this time.';
+
+    optimizeResults.innerHTML = '<div class="optimization-warning">' +
+        '<div class="result-header">' +
+        '<span class="result-icon">⚠️</span>' +
+        '<div class="result-message">' +
+        '<h4>Watchlist Exceeds Available Time</h4>' +
+        '<p>Total: <strong>' + formatTime(totalMins) + '</strong><br>' +
+        'Available: <strong>' + formatTime(availMins) + '</strong><br>' +
+        'Need to free up: <strong>' + formatTime(excess) + '</strong></p>' +
+        '</div></div>' +
+        '<p class="plan-diff">' + diffText + '</p>' +
+        defaultRatingNote(best) +
+        partyNote(best) +
+        familyNote() +
+        '<div class="plan-compare">' +
+        planColumnHtml(best, 'Best plan (max ' + optimizeGoals[goal] + ')', goal, true) +
+        planColumnHtml(greedy, 'Greedy (lowest efficiency first)', goal, false) +
+        '</div>' +
+        '<div class="new-runtime">' +
+        '<p>After dropping the suggested movies:</p>' +
+        '<p><strong>New runtime: ' + formatTime(newRuntime) + '</strong> (' + formatTime(availMins - newRuntime) + ' unused)</p>' +
+        '</div></div>';
+
+    // drop button handlers
+    var dropBtns = optimizeResults.querySelectorAll('.drop-btn');
+    for (var i = 0; i < dropBtns.length; i++) {
+        dropBtns[i].addEventListener('click', function () {
+            removeFromList(this.dataset.imdbId);
+            optimize(); // re-run
+        });
+    }
+}
+
+// PARTY MODE
+// several people plan one movie night from the current list. everyone can vote
+// 1-10 on each movie or veto it, and say which movies they brought. a veto takes
+// the movie out, missing votes count as the movie's normal rating, and the rule
+// decides the group score the optimizer maximizes:
+// average = mean of everyone's vote, least misery = the lowest vote
+
+function loadParty() {
+    var saved = localStorage.getItem(PARTY_KEY);
+    if (saved) {
+        try {
+            party = Object.assign(party, JSON.parse(saved));
+        } catch (e) {
+            console.error('party load error:', e);
+        }
+    }
+    if (!partyRules[party.rule]) party.rule = 'average';
+    partyToggle.checked = party.on;
+    partyRuleSelect.value = party.rule;
+    renderParty();
+}
+
+function saveParty() {
+    localStorage.setItem(PARTY_KEY, JSON.stringify(party));
+}
+
+function addPartyPerson() {
+    var name = partyNameInput.value.trim();
+    if (!name) return;
+    if (party.people.some(function (p) { return p.name.toLowerCase() === name.toLowerCase(); })) {
+        toast(name + ' is already coming', 'warning');
+        return;
+    }
+
+    party.people.push({ id: 'p-' + Date.now().toString(36), name: name, votes: {} });
+    partyNameInput.value = '';
+    saveParty();
+    renderParty();
+}
+
+function removePartyPerson(id) {
+    party.people = party.people.filter(function (p) { return p.id !== id; });
+    for (var movieId in party.brought) {
+        if (party.brought[movieId] === id) delete party.brought[movieId];
+    }
+    saveParty();
+    renderParty();
+}
+
+function personById(id) {
+    return party.people.find(function (p) { return p.id === id; }) || null;
+}
+
+// one person's 1-10 for a movie
+function personScore(person, movie) {
+    var vote = person.votes[movie.imdbID];
+    return typeof vote === 'number' ? vote : movieRating(movie).value;
+}
+
+function vetoedBy(movie) {
+    return party.people.filter(function (p) { return p.votes[movie.imdbID] === 'veto'; })
+        .map(function (p) { return p.name; });
+}
+
+function groupScore(movie) {
+    var scores = party.people.map(function (p) { return personScore(p, movie); });
+    if (party.rule === 'misery') return Math.min.apply(null, scores);
+
+    var sum = scores.reduce(function (a, b) { return a + b; }, 0);
+    return Math.round(sum / scores.length * 10) / 10;
+}
+
+// who a movie is for - whoever brought it and everyone who voted it high
+function partyFans(movie) {
+    var owner = party.brought[movie.imdbID];
+    return party.people.filter(function (p) {
+        var vote = p.votes[movie.imdbID];
+        return p.id === owner || (typeof vote === 'number' && vote >= PARTY_FAN_VOTE);
+    }).map(function (p) { return p.name; });
+}
+
+// vetoes and how happy each person is with the plan, under the results
+function partyNote(plan) {
+    if (!party.on || party.people.length === 0) return '';
+
+    var html = '<div class="party-note"><p class="plan-label">👥 ' + escapeHtml(partyRules[party.rule]) + '</p><ul class="party-summary">';
+    party.people.forEach(function (p) {
+        var picks = plan.moviesToKeep.filter(function (m) { return m.fans.indexOf(p.name) !== -1; }).length;
+        var avg = plan.moviesToKeep.length > 0
+            ? plan.moviesToKeep.reduce(function (sum, m) { return sum + personScore(p, m); }, 0) / plan.moviesToKeep.length
+            : 0;
+        html += '<li><strong>' + escapeHtml(p.name) + '</strong> <span class="plan-keep-meta">' +
+            picks + (picks !== 1 ? ' picks' : ' pick') + ' for them · ' + avg.toFixed(1) + '/10 on average</span></li>';
+    });
+    html += '</ul>';
+
+    var vetoed = watchlist.filter(function (m) { return vetoedBy(m).length > 0; });
+    if (vetoed.length > 0) {
+        html += '<p class="form-help">Vetoed: ' + vetoed.map(function (m) {
+            return escapeHtml(m.Title) + ' (' + escapeHtml(vetoedBy(m).join(', ')) + ')';
+        }).join(', ') + '</p>';
+    }
+    return html + '</div>';
+}
+
+// people chips plus a table of the list with everyone's vote
+function renderParty() {
+    partyPanel.classList.toggle('hidden', !party.on);
+    if (!party.on) return;
+
+    partyPeopleDiv.innerHTML = party.people.map(function (p) {
+        return '<span class="party-person">' + escapeHtml(p.name) +
+            '<button class="party-person-remove" data-person="' + escapeHtml(p.id) + '" title="Remove ' + escapeHtml(p.name) + '">×</button></span>';
+    }).join('') || '<p class="form-help">Nobody yet - add everyone who\'s coming</p>';
+
+    if (party.people.length === 0 || watchlist.length === 0) {
+        partyTableDiv.innerHTML = watchlist.length === 0 ? '<p class="form-help">Add movies to the list to vote on them</p>' : '';
+    } else {
+        var html = '<table class="party-table"><thead><tr><th>Movie</th><th>Brought by</th>';
+        party.people.forEach(function (p) {
+            html += '<th>' + escapeHtml(p.name) + '</th>';
+        });
+        html += '<th>Group</th></tr></thead><tbody>';
+
+        watchlist.forEach(function (m) {
+            var id = escapeHtml(m.imdbID);
+            var vetoed = vetoedBy(m).length > 0;
+            html += '<tr' + (vetoed ? ' class="party-vetoed"' : '') + '><td>' + escapeHtml(m.Title) + '</td>' +
+                '<td><select class="party-owner" data-imdb-id="' + id + '" aria-label="Who brought ' + escapeHtml(m.Title) + '">' +
+                '<option value="">-</option>';
+            party.people.forEach(function (p) {
+                html += '<option value="' + escapeHtml(p.id) + '"' + (party.brought[m.imdbID] === p.id ? ' selected' : '') + '>' + escapeHtml(p.name) + '</option>';
+            });
+            html += '</select></td>';
+
+            party.people.forEach(function (p) {
+                var vote = p.votes[m.imdbID];
+                html += '<td><select class="party-vote" data-imdb-id="' + id + '" data-person="' + escapeHtml(p.id) + '" aria-label="' +
+                    escapeHtml(p.name) + '\'s vote for ' + escapeHtml(m.Title) + '"><option value="">-</option>';
+                for (var r = 10; r >= 1; r--) {
+                    html += '<option value="' + r + '"' + (vote === r ? ' selected' : '') + '>' + r + '</option>';
+                }
+                html += '<option value="veto"' + (vote === 'veto' ? ' selected' : '') + '>🚫 Veto</option></select></td>';
+            });
+
+            html += '<td class="party-score">' + (vetoed ? '🚫' : groupScore(m).toFixed(1)) + '</td></tr>';
+        });
+        partyTableDiv.innerHTML = html + '</tbody></table>';
+    }
+
+    var removeBtns = partyPeopleDiv.querySelectorAll('.party-person-remove');
+    for (var i = 0; i < removeBtns.length; i++) {
+        removeBtns[i].addEventListener('click', function () {
+            removePartyPerson(this.dataset.person);
+        });
+    }
+
+    var owners = partyTableDiv.querySelectorAll('.party-owner');
+    for (var i = 0; i < owners.length; i++) {
+        owners[i].addEventListener('change', function () {
+            if (this.value) {
+                party.brought[this.dataset.imdbId] = this.value;
+            } else {
+                delete party.brought[this.dataset.imdbId];
+            }
+            saveParty();
+        });
+    }
+
+    var votes = partyTableDiv.querySelectorAll('.party-vote');
+    for (var i = 0; i < votes.length; i++) {
+        votes[i].addEventListener('change', function () {
+            var person = personById(this.dataset.person);
+            if (!person) return;
+            if (!this.value) {
+                delete person.votes[this.dataset.imdbId];
+            } else {
+                person.votes[this.dataset.imdbId] = this.value === 'veto' ? 'veto' : parseInt(this.value);
+            }
+            saveParty();
+            renderParty();
+        });
+    }
+}
+
+// WEEKEND SESSIONS
+
+function loadSessions() {
+    var saved = localStorage.getItem(SESSIONS_KEY);
+    if (saved) {
+        try {
+            var data = JSON.parse(saved);
+            sessions = data.sessions || [];
+            if (typeof data.breakMins === 'number') breakMins = data.breakMins;
+        } catch (e) {
+            console.error('sessions load error:', e);
+            sessions = [];
+        }
+    }
+    breakInput.value = breakMins;
+    renderSessions();
+}
+
+function saveSessions() {
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify({ sessions: sessions, breakMins: breakMins }));
+}
+
+// yyyy-mm-dd for date inputs
+function dateValue(d) {
+    return d.getFullYear() + '-' + pad2(d.getMonth() + 1) + '-' + pad2(d.getDate());
+}
+
+function pad2(n) {
+    return (n < 10 ? '0' : '') + n;
+}
+
+// 20:05 style time
+function clockTime(d) {
+    return pad2(d.getHours()) + ':' + pad2(d.getMinutes());
+}
+
+function dayLabel(d) {
+    return d.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function addSession() {
+    // start from the day after the last session, or today
+    var day = new Date();
+    if (sessions.length > 0) {
+        var last = sessions[sessions.length - 1];
+        if (last.date) {
+            day = new Date(last.date + 'T00:00');
+            day.setDate(day.getDate() + 1);
+        }
+    }
+
+    sessions.push({ date: dateValue(day), start: '20:00', end: '23:00' });
+    saveSessions();
+    renderSessions();
+}
+
+function removeSession(idx) {
+    sessions.splice(idx, 1);
+    saveSessions();
+    renderSessions();
+}
+
+function renderSessions() {
+    if (sessions.length === 0) {
+        sessionListDiv.innerHTML = '<p class="form-help">No sessions yet</p>';
+        return;
+    }
+
+    var html = '';
+    for (var i = 0; i < sessions.length; i++) {
+        var sess = sessions[i];
+        html += '<div class="session-row">' +
+            '<input type="date" data-idx="' + i + '" data-field="date" value="' + escapeHtml(sess.date) + '" aria-label="Session ' + (i + 1) + ' day">' +
+            '<input type="time" data-idx="' + i + '" data-field="start" value="' + escapeHtml(sess.start) + '" aria-label="Session ' + (i + 1) + ' start">' +
+            '<span class="session-dash">–</span>' +
+            '<input type="time" data-idx="' + i + '" data-field="end" value="' + escapeHtml(sess.end) + '" aria-label="Session ' + (i + 1) + ' end">' +
+            '<button class="session-remove" data-idx="' + i + '" title="Remove session">×</button>' +
+            '</div>';
+    }
+    sessionListDiv.innerHTML = html;
+
+    var inputs = sessionListDiv.querySelectorAll('input');
+    for (var i = 0; i < inputs.length; i++) {
+        inputs[i].addEventListener('change', function () {
+            sessions[this.dataset.idx][this.dataset.field] = this.value;
+            saveSessions();
+        });
+    }
+
+    var removeBtns = sessionListDiv.querySelectorAll('.session-remove');
+    for (var i = 0; i < removeBtns.length; i++) {
+        removeBtns[i].addEventListener('click', function () {
+            removeSession(parseInt(this.dataset.idx));
+        });
+    }
+}
+
+// turn a saved session into real start/end dates
+// an end time before the start means it runs past midnight
+function sessionWindow(sess) {
+    if (!sess.date || !sess.start || !sess.end) return null;
+
+    var start = new Date(sess.date + 'T' + sess.start);
+    var end = new Date(sess.date + 'T' + sess.end);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
+    if (end <= start) end.setDate(end.getDate() + 1);
+
+    return { start: start, end: end, mins: Math.round((end - start) / 60000) };
+}
+
+// fill each session with movies, longest session first so long movies find a spot
+// every session is its own knapsack so movies never get split across sessions
+function buildSchedule(windows, goal, gap) {
+    var items = planItems();
+
+    // an episode with no runtime can't be placed, and then neither can the rest of its series
+    var cut = {};
+    var unknown = [];
+    var left = [];
+    items.forEach(function (m) {
+        if (m.runtime <= 0 || (m.chain && cut[m.chain])) {
+            unknown.push(m);
+            if (m.chain) cut[m.chain] = true;
+        } else {
+            left.push(m);
+        }
+    });
+
+    // biggest sessions get filled first - but with episodes it goes in time
+    // order, so earlier sessions get the earlier episodes
+    var hasEpisodes = left.some(function (m) { return m.chain; });
+    var order = hasEpisodes ? windows.slice() : windows.slice().sort(function (a, b) { return b.mins - a.mins; });
+    for (var i = 0; i < order.length; i++) {
+        var picked = bestSubset(left, order[i].mins + gap, goal, gap);
+        order[i].movies = picked.keep;
+        left = picked.drop;
+    }
+
+    // work out the actual times, in watchlist order within a session
+    var slots = [];
+    for (var i = 0; i < windows.length; i++) {
+        var win = windows[i];
+        var at = new Date(win.start.getTime());
+        win.slots = [];
+        for (var j = 0; j < win.movies.length; j++) {
+            var m = win.movies[j];
+            var end = new Date(at.getTime() + m.runtime * 60000);
+            var slot = { movie: m, start: at, end: end };
+            win.slots.push(slot);
+            slots.push(slot);
+            at = new Date(end.getTime() + gap * 60000);
+        }
+    }
+
+    var scheduled = slots.map(function (sl) { return sl.movie; });
+    var plan = makePlan(scheduled, left, goal);
+    plan.windows = windows;
+    plan.slots = slots;
+    plan.unknown = unknown;
+    plan.gap = gap;
+    return plan;
+}
+
+function scheduleSessions() {
+    if (watchlist.length === 0) {
+        toast('Your watchlist is empty!', 'warning');
+        return;
+    }
+
+    var windows = [];
+    for (var i = 0; i < sessions.length; i++) {
+        var win = sessionWindow(sessions[i]);
+        if (!win) {
+            toast('Session ' + (i + 1) + ' needs a day, start and end time', 'warning');
+            return;
+        }
+        windows.push(win);
+    }
+
+    if (windows.length === 0) {
+        toast('Add at least one session', 'warning');
+        return;
+    }
+
+    windows.sort(function (a, b) { return a.start - b.start; });
+
+    var goal = goalSelect.value || 'rating';
+    var plan = buildSchedule(windows, goal, breakMins);
+    lastSchedule = plan;
+    showSchedule(plan, goal);
+}
+
+function showSchedule(plan, goal) {
+    optimizeResults.classList.remove('hidden');
+
+    var html = '<div class="schedule">' +
+        '<div class="schedule-header">' +
+        '<h4>🗓️ Your Weekend Plan</h4>';
+    if (plan.slots.length > 0) {
+        html += '<button id="exportIcsBtn" class="btn btn-secondary btn-sm">📅 Export .ics</button>';
+    }
+    html += '</div>' +
+        '<p class="plan-summary">' + plan.slots.length + ' of ' + watchlist.length + ' movies scheduled | ' +
+        formatTime(plan.newRuntime) + ' of movies | ' + formatGoalValue(plan.value, goal) + '</p>' +
+        defaultRatingNote(plan) +
+        partyNote(plan) +
+        familyNote();
+
+    for (var i = 0; i < plan.windows.length; i++) {
+        var win = plan.windows[i];
+        html += '<div class="schedule-session">' +
+            '<div class="schedule-session-title">' + dayLabel(win.start) + ' · ' +
+            clockTime(win.start) + ' – ' + clockTime(win.end) +
+            ' <span class="plan-keep-meta">(' + formatTime(win.mins) + ')</span></div>' +
+            '<ol class="schedule-timeline">';
+
+        var used = 0;
+        for (var j = 0; j < win.slots.length; j++) {
+            var sl = win.slots[j];
+            if (j > 0 && plan.gap > 0) {
+                html += '<li class="schedule-break">☕ ' + plan.gap + ' min break</li>';
+                used += plan.gap;
+            }
+            html += '<li class="schedule-slot">' +
+                '<span class="slot-time">' + clockTime(sl.start) + ' – ' + clockTime(sl.end) + '</span>' +
+                '<span class="slot-title">' + escapeHtml(sl.movie.Title) + '</span>' +
+                '<span class="plan-keep-meta">⭐ ' + escapeHtml(ratingLabel(sl.movie) + fansLabel(sl.movie)) + '</span>' +
+                '</li>';
+            used += sl.movie.runtime;
+        }
+        if (win.slots.length === 0) {
+            html += '<li class="schedule-break">Nothing fits in this session</li>';
+        }
+        html += '</ol>';
+
+        if (win.slots.length > 0 && win.mins - used > 0) {
+            html += '<p class="schedule-free">' + formatTime(win.mins - used) + ' free at the end</p>';
+        }
+        html += '</div>';
+    }
+
+    if (plan.moviesToDrop.length > 0) {
+        html += '<p class="plan-label">Didn\'t fit</p><ul class="plan-keep-list plan-drop-list">';
+        for (var i = 0; i < plan.moviesToDrop.length; i++) {
+            var m = plan.moviesToDrop[i];
+            html += '<li><span>' + escapeHtml(m.Title) + '</span><span class="plan-keep-meta">' + m.runtime + ' min</span></li>';
+        }
+        html += '</ul>';
+    }
+
+    if (plan.unknown.length > 0) {
+        html += '<p class="plan-label">No runtime info</p><ul class="plan-keep-list plan-drop-list">';
+        for (var i = 0; i < plan.unknown.length; i++) {
+            html += '<li><span>' + escapeHtml(plan.unknown[i].Title) + '</span><span class="plan-keep-meta">N/A</span></li>';
+        }
+        html += '</ul>';
+    }
+
+    html += '</div>';
+    optimizeResults.innerHTML = html;
+
+    var exportBtn = document.getElementById('exportIcsBtn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportIcs);
+    }
+}
+
+// ICS EXPORT
+
+// 20241025T190000Z
+function icsDate(d) {
+    return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// escape text values the way RFC 5545 wants
+function icsText(str) {
+    return String(str)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// lines longer than 75 bytes get folded onto the next line with a space
+// counts utf-8 bytes per character so titles with accents or emoji don't get cut in half
+function icsFold(line) {
+    var out = [];
+    var cur = '';
+    var bytes = 0;
+    var chars = Array.from(line);
+
+    for (var i = 0; i < chars.length; i++) {
+        var code = chars[i].codePointAt(0);
+        var size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        if (bytes + size > 75) {
+            out.push(cur);
+            cur = ' ';
+            bytes = 1;
+        }
+        cur += chars[i];
+        bytes += size;
+    }
+    out.push(cur);
+    return out.join('\r\n');
+}
+
+function buildIcs(plan) {
+    var now = icsDate(new Date());
+    var lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CineMatch//Weekend Planner//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    for (var i = 0; i < plan.slots.length; i++) {
+        var sl = plan.slots[i];
+        var m = sl.movie;
+        var desc = 'Runtime: ' + m.runtime + ' min\nIMDb rating: ' + (m.imdbRating || 'N/A') +
+            '\nhttps://www.imdb.com/title/' + m.imdbID + '/';
+
+        lines.push(
+            'BEGIN:VEVENT',
+            'UID:' + m.imdbID + '-' + icsDate(sl.start) + '@cinematch',
+            'DTSTAMP:' + now,
+            'DTSTART:' + icsDate(sl.start),
+            'DTEND:' + icsDate(sl.end),
+            'SUMMARY:' + icsText('🎬 ' + m.Title),
+            'DESCRIPTION:' + icsText(desc),
+            'URL:https://www.imdb.com/title/' + m.imdbID + '/',
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+function exportIcs() {
+    if (!lastSchedule || lastSchedule.slots.length === 0) {
+        toast('Nothing scheduled to export', 'warning');
+        return;
+    }
 
-        var runtime = parseTime(m.Runtime);
-        var rating = m.imdbRating && m.imdbRating !== 'N/A' ? m.imdbRating : '-';
+    downloadFile('cinematch-weekend.ics', buildIcs(lastSchedule), 'text/calendar');
+    toast('Calendar file downloaded', 'success');
+}
 
-        html += '<li class="watchlist-item" data-imdb-id="' + m.imdbID + '">' +
-            '<div class="watchlist-item-poster">' + poster + '</div>' +
-            '<div class="watchlist-item-info">' +
-            '<h5 class="watchlist-item-title">' + m.Title + '</h5>' +
-            '<div class="watchlist-item-meta">' +
-            '<span class="watchlist-item-runtime">⏱️ ' + (runtime > 0 ? runtime + ' min' : 'N/A') + '</span>' +
-            '<span class="watchlist-item-rating">⭐ ' + rating + '</span>' +
-            '</div></div>' +
-            '<button class="watchlist-item-remove" data-imdb-id="' + m.imdbID + '" title="Remove">×</button>' +
-            '</li>';
+// SYNC
+// lists and history are flattened into items (a list's name, each movie in a
+// list, each history entry). every save queues the items that changed, stamped
+// with the time, and the server keeps the newest version of each item - so two
+// devices editing different movies both win, and the same movie goes to the
+// latest edit. the queue is kept in localStorage so offline edits survive a reload
+
+function loadSync() {
+    var saved = localStorage.getItem(SYNC_KEY);
+    if (saved) {
+        try {
+            sync = Object.assign(sync, JSON.parse(saved));
+        } catch (e) {
+            console.error('sync load error:', e);
+        }
     }
+}
 
-    watchlistUl.innerHTML = html;
+function saveSync() {
+    localStorage.setItem(SYNC_KEY, JSON.stringify(sync));
+}
 
-    // remove button handlers
-    var removeBtns = watchlistUl.querySelectorAll('.watchlist-item-remove');
-    for (var i = 0; i < removeBtns.length; i++) {
-        removeBtns[i].addEventListener('click', function () {
-            removeFromList(this.dataset.imdbId);
+function syncBase() {
+    return sync.server.replace(/\/+$/, '');
+}
+
+// everything that syncs, as item key -> json
+function syncItems() {
+    var items = {};
+    lists.forEach(function (l) {
+        items['list:' + l.id] = JSON.stringify({ id: l.id, name: l.name });
+        l.movies.forEach(function (m) {
+            items['movie:' + l.id + ':' + m.imdbID] = JSON.stringify(m);
         });
-    }
+    });
+    watchHistory.forEach(function (h) {
+        items['history:' + h.imdbID + ':' + h.watchedOn] = JSON.stringify(h);
+    });
+    return items;
 }
 
-function getTotalRuntime() {
-    var total = 0;
-    for (var i = 0; i < watchlist.length; i++) {
-        total += parseTime(watchlist[i].Runtime);
+// compare with what the server last saw and queue whatever is different
+function queueSync() {
+    if (!sync.token) return;
+
+    var items = syncItems();
+    var now = Date.now();
+    var key;
+    for (key in items) {
+        if (sync.known[key] !== items[key]) addPending({ key: key, t: now, value: JSON.parse(items[key]) });
     }
-    return total;
+    for (key in sync.known) {
+        if (!(key in items)) addPending({ key: key, t: now, deleted: true });
+    }
+    sync.known = items;
+    saveSync();
+
+    if (sync.pending.length > 0) {
+        clearTimeout(syncTimer);
+        syncTimer = setTimeout(syncNow, 1000);
+    }
+    renderSyncStatus();
 }
 
-// OPTIMIZER
+// only the newest edit of an item needs sending
+function addPending(change) {
+    sync.pending = sync.pending.filter(function (c) { return c.key !== change.key; });
+    sync.pending.push(change);
+}
 
-function optimize() {
-    var hrs = parseFloat(timeInput.value);
+async function syncRequest(path, body) {
+    var headers = { 'Content-Type': 'application/json' };
+    if (sync.token) headers.Authorization = 'Bearer ' + sync.token;
 
-    if (isNaN(hrs) || hrs <= 0) {
-        toast('Enter a valid time in hours', 'warning');
-        return;
+    var resp = await fetch(syncBase() + path, { method: 'POST', headers: headers, body: JSON.stringify(body) });
+    var data = await resp.json().catch(function () { return {}; });
+    if (!resp.ok) {
+        var err = new Error(data.error || 'sync server answered ' + resp.status);
+        err.status = resp.status;
+        throw err;
     }
+    return data;
+}
 
-    if (watchlist.length === 0) {
-        toast('Your watchlist is empty!', 'warning');
+// send the queue, get back everything other devices changed since last time
+async function syncNow() {
+    if (!sync.token || syncBusy) return;
+    if (!navigator.onLine) {
+        renderSyncStatus();
         return;
     }
 
-    var availMins = hrs * 60;
-    var totalMins = getTotalRuntime();
-
-    optimizeResults.classList.remove('hidden');
-
-    if (totalMins <= availMins) {
-        // everything fits!
-        optimizeResults.innerHTML = '<div class="optimization-success">' +
-            '<span class="result-icon">🎉</span>' +
-            '<h4>Perfect! You can watch everything!</h4>' +
-            '<p>Your watchlist (' + formatTime(totalMins) + ') fits in your available time (' + formatTime(availMins) + ').</p>' +
-            '<p style="margin-top: 1rem; color: var(--text-muted);">You have ' + formatTime(availMins - totalMins) + ' to spare!</p>' +
-            '</div>';
-    } else {
-        // need to drop some movies
-        var suggestions = findMoviesToDrop(availMins, totalMins);
-        showOptimizeSuggestions(suggestions, totalMins, availMins);
+    syncBusy = true;
+    var sent = sync.pending.slice();
+    try {
+        var data = await syncRequest('/api/sync', { since: sync.cursor, changes: sent });
+        // anything edited while we waited is still in the queue for next time
+        sync.pending = sync.pending.filter(function (c) { return sent.indexOf(c) === -1; });
+        sync.cursor = data.cursor;
+        sync.lastSync = Date.now();
+        applyRemote(data.changes || []);
+        saveSync();
+    } catch (err) {
+        console.error('sync error:', err);
+        if (err.status === 401) {
+            toast('Sync sign-in expired, please sign in again', 'warning');
+            signOutSync(true);
+        }
     }
+    syncBusy = false;
+    renderSyncStatus();
 }
 
-// calc efficiency = rating / runtime
-function calcEfficiency(movie) {
-    var runtime = parseTime(movie.Runtime);
-    var rating = parseFloat(movie.imdbRating) || 5; // default to 5
+function applyRemote(changes) {
+    var changed = false;
+    changes.forEach(function (c) {
+        // a newer local edit beats it and goes up next time
+        var mine = sync.pending.find(function (p) { return p.key === c.key; });
+        if (mine) {
+            if (mine.t >= c.t) return;
+            sync.pending = sync.pending.filter(function (p) { return p !== mine; });
+        }
 
-    if (runtime <= 0) return 0;
-    return rating / runtime;
+        if (c.deleted) {
+            delete sync.known[c.key];
+        } else {
+            sync.known[c.key] = JSON.stringify(c.value);
+        }
+        changed = true;
+    });
+
+    if (changed) rebuildFromSync();
 }
 
-function findMoviesToDrop(availMins, totalMins) {
-    // add efficiency to each movie
-    var moviesWithEff = [];
-    for (var i = 0; i < watchlist.length; i++) {
-        var m = watchlist[i];
-        moviesWithEff.push({
-            imdbID: m.imdbID,
-            Title: m.Title,
-            Runtime: m.Runtime,
-            imdbRating: m.imdbRating,
-            runtime: parseTime(m.Runtime),
-            efficiency: calcEfficiency(m)
+// turn the items back into lists and history
+// lists and movies keep the order they have here, new ones go at the end
+function rebuildFromSync() {
+    var items = sync.known;
+    var keys = Object.keys(items);
+    var rebuilt = [];
+    var seen = {};
+
+    function addList(id) {
+        if (seen[id] || !items['list:' + id]) return;
+        seen[id] = true;
+
+        var prefix = 'movie:' + id + ':';
+        var old = getList(id);
+        var ids = (old ? old.movies : []).map(function (m) { return m.imdbID; });
+        keys.forEach(function (key) {
+            if (key.indexOf(prefix) === 0 && ids.indexOf(key.slice(prefix.length)) === -1) {
+                ids.push(key.slice(prefix.length));
+            }
+        });
+
+        rebuilt.push({
+            id: id,
+            name: JSON.parse(items['list:' + id]).name,
+            movies: ids.filter(function (imdbID) { return items[prefix + imdbID]; })
+                .map(function (imdbID) { return JSON.parse(items[prefix + imdbID]); })
         });
     }
 
-    // sort by efficiency (lowest first)
-    moviesWithEff.sort(function (a, b) {
-        return a.efficiency - b.efficiency;
+    lists.forEach(function (l) { addList(l.id); });
+    keys.forEach(function (key) {
+        if (key.indexOf('list:') === 0) addList(key.slice(5));
     });
 
-    // find which to drop
-    var toDrop = [];
-    var current = totalMins;
+    // nothing on the server yet, keep what we have so it gets sent up
+    if (rebuilt.length > 0) lists = rebuilt;
+    if (!getList(currentListId)) currentListId = lists[0].id;
+    watchlist = currentList().movies;
+
+    watchHistory = keys.filter(function (key) { return key.indexOf('history:') === 0; })
+        .map(function (key) { return JSON.parse(items[key]); });
+
+    saveWatchlist();
+    saveHistory();
+    renderListSelect();
+    updateWatchlistUI();
+    renderHistory();
+}
+
+// a fresh install only has an empty default list - no point sending that up
+// next to the lists the account already has
+function localIsBlank() {
+    return lists.length === 1 && lists[0].movies.length === 0 && watchHistory.length === 0;
+}
+
+async function signInSync(create) {
+    var server = syncServerInput.value.trim();
+    var user = syncUserInput.value.trim();
+    var password = syncPasswordInput.value;
+
+    if (!server || !user || !password) {
+        toast('Fill in the server, username and password', 'warning');
+        return;
+    }
 
-    for (var i = 0; i < moviesWithEff.length; i++) {
-        if (current <= availMins) break;
-        toDrop.push(moviesWithEff[i]);
-        current -= moviesWithEff[i].runtime;
+    sync.server = server;
+    sync.token = '';
+    try {
+        var data = await syncRequest(create ? '/api/register' : '/api/login', { username: user, password: password });
+        sync.user = data.user;
+        sync.token = data.token;
+    } catch (err) {
+        toast(err.status ? err.message : 'Can\'t reach the sync server', 'error');
+        return;
     }
 
-    return { moviesToDrop: toDrop, newRuntime: current };
+    syncPasswordInput.value = '';
+    sync.cursor = 0;
+    sync.known = {};
+    sync.pending = [];
+    if (!localIsBlank()) {
+        queueSync();
+    }
+    saveSync();
+    toast('Signed in as ' + sync.user, 'success');
+    await syncNow();
 }
 
-function showOptimizeSuggestions(suggestions, totalMins, availMins) {
-    var toDrop = suggestions.moviesToDrop;
-    var newRuntime = suggestions.newRuntime;
-    var excess = totalMins - availMins;
+// keeps everything on this device, just stops syncing
+function signOutSync(quiet) {
+    if (!quiet && sync.pending.length > 0 &&
+        !confirm(sync.pending.length + ' changes haven\'t been synced yet. Sign out anyway?')) return;
 
-    var suggestHtml = '';
-    for (var i = 0; i < toDrop.length; i++) {
-        var m = toDrop[i];
-        suggestHtml += '<div class="suggestion-item">' +
-            '<div class="suggestion-info">' +
-            '<span class="suggestion-title">' + m.Title + '</span>' +
-            '<span class="suggestion-meta">⏱️ ' + m.runtime + ' min | ⭐ ' + (m.imdbRating || 'N/A') + ' | Efficiency: ' + m.efficiency.toFixed(4) + '</span>' +
-            '</div>' +
-            '<div class="suggestion-action">' +
-            '<button class="btn btn-danger btn-sm drop-btn" data-imdb-id="' + m.imdbID + '">Drop</button>' +
-            '</div></div>';
+    if (sync.token && !quiet) {
+        syncRequest('/api/logout', {}).catch(function () { });
     }
+    sync.token = '';
+    sync.cursor = 0;
+    sync.known = {};
+    sync.pending = [];
+    saveSync();
+    renderSyncStatus();
+}
 
-    optimizeResults.innerHTML = '<div class="optimization-warning">' +
-        '<div class="result-header">' +
-        '<span class="result-icon">⚠️</span>' +
-        '<div class="result-message">' +
-        '<h4>Watchlist Exceeds Available Time</h4>' +
-        '<p>Total: <strong>' + formatTime(totalMins) + '</strong><br>' +
-        'Available: <strong>' + formatTime(availMins) + '</strong><br>' +
-        'Need to free up: <strong>' + formatTime(excess) + '</strong></p>' +
-        '</div></div>' +
-        '<h5 style="margin-bottom: 0.5rem; color: var(--text-gray);">Suggested movies to drop (lowest efficiency first):</h5>' +
-        '<div class="suggestions-list">' + suggestHtml + '</div>' +
-        '<div class="new-runtime">' +
-        '<p>After dropping these:</p>' +
-        '<p><strong>New runtime: ' + formatTime(newRuntime) + '</strong> (' + (newRuntime <= availMins ? '✅ Fits!' : '❌ Still exceeds') + ')</p>' +
-        '</div></div>';
+function renderSyncStatus() {
+    var signedIn = !!sync.token;
+    syncForm.classList.toggle('hidden', signedIn);
+    syncAccountDiv.classList.toggle('hidden', !signedIn);
+    if (!signedIn) {
+        syncServerInput.value = sync.server;
+        syncUserInput.value = sync.user;
+        return;
+    }
 
-    // drop button handlers
-    var dropBtns = optimizeResults.querySelectorAll('.drop-btn');
-    for (var i = 0; i < dropBtns.length; i++) {
-        dropBtns[i].addEventListener('click', function () {
-            removeFromList(this.dataset.imdbId);
-            optimize(); // re-run
-        });
+    var text = 'Signed in as ' + sync.user + ' on ' + sync.server + '. ';
+    text += sync.lastSync ? 'Last synced ' + formatAge(sync.lastSync) + '.' : 'Not synced yet.';
+    if (sync.pending.length > 0) {
+        text += ' ' + sync.pending.length + (sync.pending.length === 1 ? ' change' : ' changes') +
+            (navigator.onLine ? ' waiting to sync.' : ' will sync when you\'re back online.');
     }
+    syncStatusP.textContent = text;
 }
 
 // API CONFIG MODAL
 
 function showApiModal() {
-    apiModal.classList.add('active');
+    openDialog(apiModal);
 
     // fill in existing keys
     var omdb = getKey(OMDB_KEY);
@@ -887,74 +5723,419 @@ function showApiModal() {
 
     if (omdb) omdbInput.value = omdb;
     if (gemini) geminiInput.value = gemini;
+
+    llmProviderSelect.value = llmSettings.provider;
+    llmUrlInput.value = llmSettings.url;
+    llmModelInput.value = llmSettings.model;
+    llmKeyInput.value = llmSettings.key;
+    updateLlmFields();
+
+    proxyEnabledInput.checked = proxySettings.enabled;
+    proxyUrlInput.value = proxySettings.url;
+    updateProxyFields();
+    [omdbKeyStatus, geminiKeyStatus, proxyStatusP].forEach(function (el) {
+        showKeyStatus(el, null);
+    });
+
+    renderCachePanel();
+    renderSyncStatus();
+}
+
+// url / model only for the non-gemini providers, key only for the hosted one
+function updateLlmFields() {
+    var provider = llmProviderSelect.value;
+    llmCustomDiv.classList.toggle('hidden', provider === 'gemini');
+    llmKeyGroup.classList.toggle('hidden', provider !== 'openai');
+    llmUrlInput.placeholder = provider === 'local'
+        ? 'http://localhost:11434/v1'
+        : 'https://api.openai.com/v1';
+}
+
+// with the proxy on the key boxes aren't needed
+function updateProxyFields() {
+    var on = proxyEnabledInput.checked;
+    proxyUrlInput.disabled = !on;
+    omdbInput.disabled = on;
+    geminiInput.disabled = on;
 }
 
 function hideApiModal() {
-    apiModal.classList.remove('active');
+    closeDialog(apiModal);
+}
+
+// KEY CHECKS
+// one test call per key before anything is saved, so a typo shows up here
+// instead of as a failed search later
+// each check gives { ok, text } - ok is null when we couldn't tell either way
+
+async function checkOmdbKey(url) {
+    try {
+        countRequest();
+        var resp = await fetch(url);
+        var data = await resp.json();
+        if (data.Response === 'True') return { ok: true, text: 'Key works' };
+
+        var kind = omdbErrorKind(data.Error);
+        if (kind === 'limit') return { ok: true, text: 'Key works, but today\'s request limit is used up' };
+        if (kind === 'invalid-key') return { ok: false, text: 'OMDB says: ' + data.Error };
+        return { ok: null, text: 'OMDB said "' + data.Error + '", couldn\'t check the key' };
+    } catch (err) {
+        return { ok: null, text: 'Couldn\'t reach OMDB to check the key' };
+    }
+}
+
+// listing the models is free and fails straight away on a bad key
+async function checkGeminiKey(url, headers) {
+    try {
+        var resp = await fetch(url, { headers: headers });
+        if (resp.ok) return { ok: true, text: 'Key works' };
+
+        if (resp.status === 400 || resp.status === 401 || resp.status === 403) {
+            var data = await resp.json().catch(function () { return null; });
+            var msg = data && data.error && data.error.message;
+            return { ok: false, text: 'Gemini says: ' + (msg || 'the key was rejected') };
+        }
+        return { ok: null, text: 'Gemini answered ' + resp.status + ', couldn\'t check the key' };
+    } catch (err) {
+        return { ok: null, text: 'Couldn\'t reach Gemini to check the key' };
+    }
+}
+
+// direct mode - test what's typed in the boxes
+async function checkKeys(omdb, gemini) {
+    var checks = [checkOmdbKey(OMDB_URL + '?apikey=' + encodeURIComponent(omdb) + '&i=' + KEY_CHECK_ID)];
+    if (gemini) checks.push(checkGeminiKey(GEMINI_MODELS_URL, { 'x-goog-api-key': gemini }));
+
+    var results = await Promise.all(checks);
+    return { proxy: null, omdb: results[0], gemini: results[1] || null };
+}
+
+// proxy mode - ask the proxy which keys it has, then test them through it
+async function checkProxy(url) {
+    var base = proxyBase(url);
+    var status;
+    try {
+        var resp = await fetch(base + '/status');
+        status = await resp.json();
+    } catch (err) {
+        return {
+            proxy: { ok: false, text: 'No proxy answered at ' + (base || location.origin) },
+            omdb: null,
+            gemini: null
+        };
+    }
+
+    var result = {
+        proxy: { ok: true, text: status.gemini ? 'Proxy is running' : 'Proxy is running (no GEMINI_API_KEY, mood search stays offline)' },
+        omdb: { ok: false, text: 'The proxy has no OMDB_API_KEY set' },
+        gemini: null
+    };
+    if (status.omdb) result.omdb = await checkOmdbKey(base + '/omdb?i=' + KEY_CHECK_ID);
+    if (status.gemini) result.gemini = await checkGeminiKey(base + '/gemini/models', {});
+    return result;
+}
+
+const keyStatusIcons = { ok: '✅', bad: '❌', unsure: '⚠️' };
+
+// pass null to hide the line
+function showKeyStatus(el, result) {
+    if (!result) {
+        el.className = 'form-help key-status hidden';
+        return;
+    }
+    var state = result.ok ? 'ok' : result.ok === false ? 'bad' : 'unsure';
+    el.className = 'form-help key-status key-' + state;
+    el.textContent = keyStatusIcons[state] + ' ' + result.text;
 }
 
-function saveKeys() {
+async function saveKeys() {
     var omdb = omdbInput.value.trim();
     var gemini = geminiInput.value.trim();
+    var useProxy = proxyEnabledInput.checked;
+    var proxyUrl = proxyUrlInput.value.trim();
 
-    if (!omdb) {
+    if (!omdb && !useProxy) {
         toast('OMDB API key is required', 'error');
         return;
     }
 
-    saveKey(OMDB_KEY, omdb);
-    if (gemini) {
-        saveKey(GEMINI_KEY, gemini);
+    saveKeysBtn.disabled = true;
+    saveKeysBtn.textContent = 'Checking keys...';
+    var result = useProxy ? await checkProxy(proxyUrl) : await checkKeys(omdb, gemini);
+    saveKeysBtn.disabled = false;
+    saveKeysBtn.textContent = 'Save & Continue';
+
+    showKeyStatus(proxyStatusP, result.proxy);
+    showKeyStatus(omdbKeyStatus, result.omdb);
+    showKeyStatus(geminiKeyStatus, result.gemini);
+
+    // a key we know is wrong isn't saved, one we just couldn't check is
+    var checks = [result.proxy, result.omdb, result.gemini].filter(Boolean);
+    if (checks.some(function (r) { return r.ok === false; })) {
+        toast('Fix the keys marked ❌ and save again', 'error');
+        return;
+    }
+
+    if (!useProxy) {
+        saveKey(OMDB_KEY, omdb);
+        if (gemini) {
+            saveKey(GEMINI_KEY, gemini);
+        }
     }
 
+    proxySettings.enabled = useProxy;
+    proxySettings.url = proxyUrl;
+    proxySettings.gemini = !!result.gemini;
+    saveProxySettings();
+
+    llmSettings.provider = llmProviderSelect.value;
+    llmSettings.url = llmUrlInput.value.trim();
+    llmSettings.model = llmModelInput.value.trim();
+    llmSettings.key = llmKeyInput.value.trim();
+    saveLlmSettings();
+
     hideApiModal();
-    toast('API keys saved!', 'success');
+    if (checks.some(function (r) { return r.ok === null; })) {
+        toast('Saved, but some keys couldn\'t be checked right now', 'warning');
+    } else {
+        toast('API keys saved!', 'success');
+    }
+
+    // a share link opened before there was a key can load its movies now
+    if (sharedPreview) openShared(sharedPreview.code);
+}
+
+// ROUTING
+// #/search?type=actor&q=..., #/person/Tom%20Hanks, #/movie/tt0111161, #/watchlist
+// and #/shared/<code> for share links
+// our own changes use pushState (no hashchange), back / forward / links come in through applyRoute
+
+function searchRoute(type, query) {
+    return '#/search?type=' + encodeURIComponent(type) + '&q=' + encodeURIComponent(query);
+}
+
+function personRoute(name) {
+    return '#/person/' + encodeURIComponent(name);
+}
+
+function movieRoute(id) {
+    return '#/movie/' + encodeURIComponent(id);
+}
+
+// what's behind the movie popup
+function backgroundRoute() {
+    if (!searchState) return '#/';
+    if (searchState.type === 'actor' && searchState.exact) return personRoute(searchState.query);
+    return searchRoute(searchState.type, searchState.query);
+}
+
+function parseRoute(hash) {
+    var path = (hash || '').replace(/^#\/?/, '');
+    var query = '';
+    var q = path.indexOf('?');
+    if (q !== -1) {
+        query = path.slice(q + 1);
+        path = path.slice(0, q);
+    }
+    var parts = path.split('/');
+
+    try {
+        if (parts[0] === 'search') {
+            var params = new URLSearchParams(query);
+            var type = params.get('type');
+            return {
+                name: 'search',
+                type: placeholders[type] ? type : 'title',
+                q: params.get('q') || ''
+            };
+        }
+        if (parts[0] === 'person' && parts[1]) {
+            return { name: 'person', person: decodeURIComponent(parts[1]) };
+        }
+        if (parts[0] === 'movie' && parts[1]) {
+            return { name: 'movie', id: decodeURIComponent(parts[1]) };
+        }
+        if (parts[0] === 'shared' && parts[1]) {
+            return { name: 'shared', code: parts[1] };
+        }
+    } catch (e) {
+        console.error('bad route:', hash);
+    }
+
+    if (parts[0] === 'watchlist') return { name: 'watchlist' };
+    return { name: 'home' };
+}
+
+function pushRoute(hash) {
+    if (location.hash === hash) return;
+    history.pushState({ pushed: true }, '', hash);
+}
+
+// swap the url without a new history entry, keeping whether we pushed it
+function replaceRoute(hash) {
+    history.replaceState({ pushed: !!(history.state && history.state.pushed) }, '', hash);
+}
+
+// make the page match the url - only does what's different from what's on screen
+function applyRoute() {
+    var route = parseRoute(location.hash);
+
+    if (route.name !== 'movie' && movieModal.classList.contains('active')) {
+        closeMovie(true);
+    }
+    if (route.name !== 'shared' && sharedModal.classList.contains('active')) {
+        closeShared(true);
+    }
+
+    if (route.name === 'movie') {
+        if (!currentMovie || currentMovie.imdbID !== route.id) openMovie(route.id, true);
+    } else if (route.name === 'shared') {
+        if (!sharedPreview || sharedPreview.code !== route.code) openShared(route.code);
+    } else if (route.name === 'search' && route.q) {
+        if (!searchState || searchState.exact || searchState.type !== route.type || searchState.query !== route.q) {
+            setSearchType(route.type);
+            searchInput.value = route.q;
+            runSearch(route.type, route.q);
+        }
+    } else if (route.name === 'person') {
+        if (!searchState || !searchState.exact || searchState.query !== route.person) {
+            setSearchType('actor');
+            searchInput.value = route.person;
+            runSearch('actor', route.person, true);
+        }
+    } else if (route.name === 'watchlist') {
+        watchlistPanel.scrollIntoView({ behavior: 'smooth' });
+    } else {
+        // back to the start - nothing searched yet
+        searchState = null;
+        movies = [];
+        searchInput.value = '';
+        resultsSection.classList.add('hidden');
+    }
 }
 
 // SET UP EVENT LISTENERS
 
+// switch the search tabs to title, actor or mood
+function setSearchType(type) {
+    for (var i = 0; i < searchTabs.length; i++) {
+        searchTabs[i].classList.toggle('active', searchTabs[i].dataset.type === type);
+    }
+    searchType = type;
+    searchInput.placeholder = placeholders[searchType];
+
+    if (searchType === 'mood') {
+        moodHint.classList.remove('hidden');
+    } else {
+        moodHint.classList.add('hidden');
+    }
+}
+
 function setupEvents() {
     // search tabs
     for (var i = 0; i < searchTabs.length; i++) {
         searchTabs[i].addEventListener('click', function () {
-            for (var j = 0; j < searchTabs.length; j++) {
-                searchTabs[j].classList.remove('active');
-            }
-            this.classList.add('active');
-            searchType = this.dataset.type;
-            searchInput.placeholder = placeholders[searchType];
-
-            if (searchType === 'mood') {
-                moodHint.classList.remove('hidden');
-            } else {
-                moodHint.classList.add('hidden');
-            }
+            setSearchType(this.dataset.type);
         });
     }
 
     // search button and enter key
     searchBtn.addEventListener('click', doSearch);
+    loadMoreBtn.addEventListener('click', loadMore);
+
+    // filters - type and year go to omdb, the rest are applied here
+    for (var name in filterInputs) {
+        filterInputs[name].addEventListener('change', function () {
+            var before = filterParams();
+            readFilters();
+            if (filterParams() !== before) {
+                rerunSearch();
+            } else if (movies.length > 0) {
+                applyFilters();
+            }
+        });
+    }
+    resetFiltersBtn.addEventListener('click', resetFilters);
     searchInput.addEventListener('keypress', function (e) {
         if (e.key === 'Enter') doSearch();
     });
 
+    // back / forward and #/ links
+    window.addEventListener('hashchange', applyRoute);
+
     // modal close
-    closeModalBtn.addEventListener('click', closeMovie);
+    closeModalBtn.addEventListener('click', function () { closeMovie(); });
     movieModal.addEventListener('click', function (e) {
         if (e.target === movieModal) closeMovie();
     });
 
     // escape key
     document.addEventListener('keydown', function (e) {
+        if (e.key === 'Tab') trapFocus(e);
+        if (e.key === '/') focusSearchKey(e);
         if (e.key === 'Escape') {
+            if (!listMenu.classList.contains('hidden')) {
+                closeListMenu();
+                return;
+            }
             if (movieModal.classList.contains('active')) closeMovie();
             if (apiModal.classList.contains('active')) hideApiModal();
+            if (importModal.classList.contains('active')) closeImport();
+            if (sharedModal.classList.contains('active')) closeShared();
+            if (compareModal.classList.contains('active')) closeCompare();
+            if (watchedModal.classList.contains('active')) closeWatched();
         }
     });
 
     // settings
     settingsBtn.addEventListener('click', showApiModal);
     saveKeysBtn.addEventListener('click', saveKeys);
+    llmProviderSelect.addEventListener('change', updateLlmFields);
+    proxyEnabledInput.addEventListener('change', updateProxyFields);
+
+    // cache settings save as soon as they change
+    for (var i = 0; i < cacheInputs.length; i++) {
+        cacheInputs[i].addEventListener('change', function () {
+            var val = parseFloat(this.value);
+            if (isNaN(val) || val < 0) {
+                this.value = cacheSettings[this.dataset.setting];
+                return;
+            }
+            cacheSettings[this.dataset.setting] = val;
+            saveCacheSettings();
+            evictCache().then(renderCachePanel);
+        });
+    }
+    clearCacheBtn.addEventListener('click', clearCache);
+
+    // family mode
+    familyOnBtn.addEventListener('click', turnOnFamily);
+    familyOffBtn.addEventListener('click', turnOffFamily);
+    familyPinInput.addEventListener('keypress', function (e) {
+        if (e.key === 'Enter') turnOffFamily();
+    });
+
+    // critic score weights
+    for (var i = 0; i < criticInputs.length; i++) {
+        criticInputs[i].addEventListener('change', function () {
+            var val = parseInt(this.value);
+            if (isNaN(val) || val < 0 || val > 100) {
+                this.value = criticWeights[this.dataset.source];
+                return;
+            }
+            criticWeights[this.dataset.source] = val;
+            saveCriticWeights();
+            updateCriticScores();
+            if (!optimizeResults.classList.contains('hidden')) optimize();
+        });
+    }
+    syncLoginBtn.addEventListener('click', function () { signInSync(false); });
+    syncRegisterBtn.addEventListener('click', function () { signInSync(true); });
+    syncNowBtn.addEventListener('click', syncNow);
+    syncLogoutBtn.addEventListener('click', function () { signOutSync(); });
+
+    // offline edits go up as soon as we're back
+    window.addEventListener('online', syncNow);
 
     apiModal.addEventListener('click', function (e) {
         if (e.target === apiModal && hasApiKeys()) {
@@ -962,11 +6143,125 @@ function setupEvents() {
         }
     });
 
+    // named lists
+    listSelect.addEventListener('change', function () {
+        switchList(this.value);
+    });
+    newListBtn.addEventListener('click', createList);
+    renameListBtn.addEventListener('click', renameList);
+    deleteListBtn.addEventListener('click', deleteList);
+    document.addEventListener('click', function (e) {
+        if (listMenu.classList.contains('hidden') || listMenu.contains(e.target)) return;
+        if (e.target.closest('.add-watchlist-btn, .modal-watchlist-btn')) return; // these open it
+        closeListMenu();
+    });
+    window.addEventListener('scroll', closeListMenu, true);
+
+    // import / export
+    exportJsonBtn.addEventListener('click', exportJson);
+    exportCsvBtn.addEventListener('click', exportCsv);
+    importBtn.addEventListener('click', function () { importFileInput.click(); });
+    importFileInput.addEventListener('change', function () {
+        if (this.files[0]) handleImportFile(this.files[0]);
+    });
+    importConfirmBtn.addEventListener('click', confirmImport);
+    importCancelBtn.addEventListener('click', closeImport);
+
+    // comparing
+    compareOpenBtn.addEventListener('click', openCompare);
+    compareClearBtn.addEventListener('click', clearCompare);
+    compareCloseBtn.addEventListener('click', closeCompare);
+    compareModal.addEventListener('click', function (e) {
+        if (e.target === compareModal) closeCompare();
+    });
+
+    // share links
+    shareBtn.addEventListener('click', shareList);
+    sharedTarget.addEventListener('change', renderSharedPreview);
+    sharedCloseBtn.addEventListener('click', function () { closeShared(); });
+    sharedSelectedBtn.addEventListener('click', function () { importShared(false); });
+    sharedAllBtn.addEventListener('click', function () { importShared(true); });
+    sharedModal.addEventListener('click', function (e) {
+        if (e.target === sharedModal) closeShared();
+    });
+    importModal.addEventListener('click', function (e) {
+        if (e.target === importModal) closeImport();
+    });
+
     // optimizer
     optimizeBtn.addEventListener('click', optimize);
     timeInput.addEventListener('keypress', function (e) {
         if (e.key === 'Enter') optimize();
     });
+
+    // hours or sessions
+    for (var i = 0; i < planModeTabs.length; i++) {
+        planModeTabs[i].addEventListener('click', function () {
+            for (var j = 0; j < planModeTabs.length; j++) {
+                planModeTabs[j].classList.remove('active');
+            }
+            this.classList.add('active');
+            planMode = this.dataset.mode;
+            hoursMode.classList.toggle('hidden', planMode !== 'hours');
+            sessionsMode.classList.toggle('hidden', planMode !== 'sessions');
+            optimizeResults.classList.add('hidden');
+        });
+    }
+
+    addSessionBtn.addEventListener('click', addSession);
+    breakInput.addEventListener('change', function () {
+        breakMins = Math.max(0, parseInt(this.value) || 0);
+        this.value = breakMins;
+        saveSessions();
+    });
+
+    // party mode
+    partyToggle.addEventListener('change', function () {
+        party.on = this.checked;
+        saveParty();
+        renderParty();
+        optimizeResults.classList.add('hidden');
+    });
+    partyRuleSelect.addEventListener('change', function () {
+        party.rule = this.value;
+        saveParty();
+        renderParty();
+    });
+    addPersonBtn.addEventListener('click', addPartyPerson);
+    partyNameInput.addEventListener('keypress', function (e) {
+        if (e.key === 'Enter') addPartyPerson();
+    });
+
+    ratingModeSelect.addEventListener('change', function () {
+        ratingPrefs.mode = this.value;
+        blendGroup.classList.toggle('hidden', ratingPrefs.mode !== 'blend');
+        saveRatingPrefs();
+        if (!optimizeResults.classList.contains('hidden')) optimize();
+    });
+    blendInput.addEventListener('change', function () {
+        ratingPrefs.weight = Math.min(100, Math.max(0, parseInt(this.value) || 0));
+        this.value = ratingPrefs.weight;
+        saveRatingPrefs();
+        if (!optimizeResults.classList.contains('hidden')) optimize();
+    });
+
+    // watched popup
+    watchedRating.addEventListener('input', function () {
+        watchedRatingValue.textContent = this.value;
+    });
+    watchedSaveBtn.addEventListener('click', saveWatched);
+    watchedCancelBtn.addEventListener('click', closeWatched);
+    watchedModal.addEventListener('click', function (e) {
+        if (e.target === watchedModal) closeWatched();
+    });
+
+    goalSelect.addEventListener('change', function () {
+        if (!optimizeResults.classList.contains('hidden')) optimize();
+    });
+
+    // for you feed
+    forYouBtn.addEventListener('click', loadForYou);
+    resetDismissedBtn.addEventListener('click', resetDismissed);
 }
 
 // START THE APP
@@ -974,14 +6269,38 @@ function setupEvents() {
 function init() {
     console.log('CineMatch starting up...');
 
+    loadCacheSettings();
+    loadCriticWeights();
+    loadFamily();
+    loadLlmSettings();
+    loadProxySettings();
+    loadQuota();
+    loadSync();
+    readFilters();
     setupEvents();
+    loadHistory();
     loadWatchlist();
+    if (family.on) rateWatchlist();
+    loadSessions();
+    loadRatingPrefs();
+    loadParty();
+    loadDismissed();
+    loadPeopleIndex();
 
     // show api modal if no keys
     if (!hasApiKeys()) {
         showApiModal();
     }
 
+    // pick up changes from other devices now and every minute
+    syncNow();
+    setInterval(syncNow, SYNC_INTERVAL);
+
+    // deep link - rebuild whatever the url points at
+    if (location.hash) {
+        applyRoute();
+    }
+
     console.log('App ready!');
 }
 
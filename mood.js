@@ -0,0 +1,424 @@
+// MOOD PARSING
+// reads mood descriptions without any ai, and checks what an ai sends back.
+// no dom in here - app.js uses it as globals, and node can require it for the tests
+
+// what the ai has to send back for a mood, anything else is dropped
+// lists are short strings, numbers are clamped to a sane range
+const moodSchema = {
+    genres: { type: 'list', max: 4 },
+    keywords: { type: 'list', max: 4 },
+    avoid: { type: 'list', max: 6 },
+    yearFrom: { type: 'number', min: 1900, max: 2100 },
+    yearTo: { type: 'number', min: 1900, max: 2100 },
+    maxRuntime: { type: 'number', min: 30, max: 600 }
+};
+
+// OFFLINE MOOD WORDS
+// used by parseMood when there's no ai - words and phrases to genre weights
+const moodLexicon = {
+    'funny': { Comedy: 1 },
+    'hilarious': { Comedy: 1.5 },
+    'comedy': { Comedy: 1.5 },
+    'laugh': { Comedy: 1 },
+    'humor': { Comedy: 1 },
+    'humour': { Comedy: 1 },
+    'silly': { Comedy: 1, Family: 0.3 },
+    'light': { Comedy: 0.6, Family: 0.3 },
+    'lighthearted': { Comedy: 1, Family: 0.3 },
+    'light hearted': { Comedy: 1, Family: 0.3 },
+    'feel good': { Comedy: 1, Romance: 0.3, Family: 0.3 },
+    'feel-good': { Comedy: 1, Romance: 0.3, Family: 0.3 },
+    'happy': { Comedy: 0.8 },
+    'uplifting': { Comedy: 0.5, Drama: 0.5 },
+    'cozy': { Comedy: 0.6, Family: 0.6, Romance: 0.4 },
+    'cosy': { Comedy: 0.6, Family: 0.6, Romance: 0.4 },
+    'scary': { Horror: 1 },
+    'horror': { Horror: 1.5 },
+    'creepy': { Horror: 1, Thriller: 0.5 },
+    'spooky': { Horror: 1 },
+    'frightening': { Horror: 1 },
+    'terrifying': { Horror: 1.5 },
+    'thriller': { Thriller: 1.5 },
+    'suspense': { Thriller: 1, Mystery: 0.5 },
+    'suspenseful': { Thriller: 1, Mystery: 0.5 },
+    'tense': { Thriller: 1 },
+    'edge of my seat': { Thriller: 1.5 },
+    'dark': { Thriller: 0.6, Crime: 0.5, Drama: 0.4 },
+    'gritty': { Crime: 0.8, Drama: 0.4 },
+    'action': { Action: 1.5 },
+    'exciting': { Action: 1, Adventure: 0.5 },
+    'thrilling': { Action: 1, Thriller: 0.5 },
+    'adrenaline': { Action: 1 },
+    'explosions': { Action: 1 },
+    'fight': { Action: 0.8 },
+    'fights': { Action: 0.8 },
+    'adventure': { Adventure: 1.5 },
+    'epic': { Adventure: 1, Action: 0.5, History: 0.3 },
+    'romantic': { Romance: 1 },
+    'romance': { Romance: 1.5 },
+    'love': { Romance: 1 },
+    'love story': { Romance: 1.5 },
+    'date night': { Romance: 1, Comedy: 0.5 },
+    'sad': { Drama: 1 },
+    'emotional': { Drama: 1 },
+    'cry': { Drama: 1 },
+    'tearjerker': { Drama: 1.5 },
+    'heartbreaking': { Drama: 1.5 },
+    'moving': { Drama: 0.8 },
+    'drama': { Drama: 1.5 },
+    'serious': { Drama: 0.8 },
+    'sci-fi': { 'Sci-Fi': 1.5 },
+    'scifi': { 'Sci-Fi': 1.5 },
+    'science fiction': { 'Sci-Fi': 1.5 },
+    'space': { 'Sci-Fi': 1, Adventure: 0.3 },
+    'future': { 'Sci-Fi': 1 },
+    'futuristic': { 'Sci-Fi': 1 },
+    'robots': { 'Sci-Fi': 1 },
+    'aliens': { 'Sci-Fi': 1, Horror: 0.3 },
+    'dystopian': { 'Sci-Fi': 1, Drama: 0.3 },
+    'mind bending': { Mystery: 1, Thriller: 0.7, 'Sci-Fi': 0.5 },
+    'mind-bending': { Mystery: 1, Thriller: 0.7, 'Sci-Fi': 0.5 },
+    'twist': { Mystery: 1, Thriller: 0.7 },
+    'animated': { Animation: 1.5 },
+    'animation': { Animation: 1.5 },
+    'cartoon': { Animation: 1.5, Family: 0.5 },
+    'anime': { Animation: 1.5 },
+    'family': { Family: 1.5 },
+    'kids': { Family: 1.5, Animation: 0.5 },
+    'children': { Family: 1.5, Animation: 0.5 },
+    'documentary': { Documentary: 1.5 },
+    'true story': { Biography: 1, Drama: 0.5 },
+    'based on a true story': { Biography: 1.5, Drama: 0.5 },
+    'real life': { Biography: 1, Documentary: 0.5 },
+    'biopic': { Biography: 1.5 },
+    'mystery': { Mystery: 1.5 },
+    'whodunit': { Mystery: 1.5, Crime: 0.5 },
+    'detective': { Mystery: 1, Crime: 1 },
+    'crime': { Crime: 1.5 },
+    'heist': { Crime: 1, Thriller: 0.5 },
+    'gangster': { Crime: 1.5 },
+    'mafia': { Crime: 1.5 },
+    'war': { War: 1.5 },
+    'historical': { History: 1, Drama: 0.3 },
+    'history': { History: 1.5 },
+    'period piece': { History: 1, Drama: 0.5 },
+    'fantasy': { Fantasy: 1.5 },
+    'magic': { Fantasy: 1 },
+    'magical': { Fantasy: 1 },
+    'dragons': { Fantasy: 1 },
+    'fairy tale': { Fantasy: 1, Family: 0.5 },
+    'musical': { Musical: 1.5 },
+    'music': { Music: 1.5 },
+    'singing': { Musical: 1 },
+    'sports': { Sport: 1.5 },
+    'sport': { Sport: 1.5 },
+    'western': { Western: 1.5 },
+    'cowboy': { Western: 1.5 },
+    'cowboys': { Western: 1.5 },
+    'violent': { Action: 0.5, Crime: 0.5, Horror: 0.5 },
+    'violence': { Action: 0.5, Crime: 0.5, Horror: 0.5 },
+    'gore': { Horror: 1 },
+    'gory': { Horror: 1 },
+    'bloody': { Horror: 0.8 }
+};
+
+// when these are negated the theme is avoided too, matched against the plot
+// stems so "violen" catches violent and violence
+const moodThemes = {
+    'violent': 'violen',
+    'violence': 'violen',
+    'gore': 'gore',
+    'gory': 'gore',
+    'bloody': 'blood'
+};
+
+const negationWords = ['no', 'not', 'nothing', 'without', 'never', 'avoid', 'skip', 'hate', 'dont', "don't", 'isnt', "isn't", 'nor', 'less'];
+// these end a negation - "not sad but funny"
+const clauseBreaks = ['but', 'though', 'although', 'just', 'instead', 'rather', ',', '.', ';', '!', '?'];
+
+// "really dark" counts dark more, "a bit scary" less
+const intensityWords = {
+    'really': 1.5,
+    'very': 1.5,
+    'super': 1.5,
+    'so': 1.3,
+    'extremely': 2,
+    'truly': 1.5,
+    'totally': 1.5,
+    'a bit': 0.5,
+    'a little': 0.5,
+    'slightly': 0.5,
+    'kinda': 0.6,
+    'kind of': 0.6,
+    'somewhat': 0.7
+};
+
+// most movies are dramas, so "not sad" only ranks them lower - it takes "no drama" to rule them out
+const broadGenres = ['Drama'];
+
+const decadeWords = {
+    'fifties': 1950,
+    'sixties': 1960,
+    'seventies': 1970,
+    'eighties': 1980,
+    'nineties': 1990
+};
+
+// words left over after matching that aren't worth searching for
+const moodStopWords = ['a', 'an', 'the', 'and', 'or', 'i', 'im', "i'm", 'me', 'my', 'we', 'us', 'want', 'wanna', 'need',
+    'something', 'anything', 'some', 'movie', 'movies', 'film', 'films', 'watch', 'watching', 'see', 'feel', 'feeling',
+    'like', 'with', 'about', 'for', 'from', 'to', 'of', 'in', 'on', 'that', 'this', 'is', 'it', 'its', 'be', 'am', 'are',
+    'tonight', 'today', 'mood', 'please', 'good', 'great', 'too', 'more', 'much', 'maybe', 'lets', "let's", 'show',
+    'give', 'find', 'one', 'any', 'kind', 'sort', 'type', 'would', 'could', 'should', 'have', 'has', 'get', 'make',
+    'under', 'over', 'than', 'hour', 'hours', 'minute', 'minutes', 'min', 'mins', 'before', 'after', 'since', 'until'];
+
+// AI REPLIES
+
+// models like to wrap json in ``` fences or add a sentence, so take the outermost {...}
+function parseMoodReply(reply) {
+    var start = reply.indexOf('{');
+    var end = reply.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+        return JSON.parse(reply.slice(start, end + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
+// check a reply against moodSchema - returns a clean mood, or null if it's no use
+// genres are the ones omdb uses, the ai's are matched against them
+function validateMood(raw, genres) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+    var mood = {};
+    for (var field in moodSchema) {
+        var rule = moodSchema[field];
+        var val = raw[field];
+
+        if (rule.type === 'list') {
+            if (typeof val === 'string') val = [val];
+            mood[field] = (Array.isArray(val) ? val : [])
+                .filter(function (v) { return typeof v === 'string'; })
+                .map(function (v) { return v.trim().slice(0, 40); })
+                .filter(function (v) { return v; })
+                .slice(0, rule.max);
+        } else {
+            var num = typeof val === 'number' ? val : parseInt(val);
+            mood[field] = isNaN(num) ? null : Math.min(rule.max, Math.max(rule.min, Math.round(num)));
+        }
+    }
+
+    // genres have to be ones omdb knows, matched without case
+    mood.genres = mood.genres.map(function (g) {
+        return genres.find(function (k) { return k.toLowerCase() === g.toLowerCase(); });
+    }).filter(function (g) { return g; });
+
+    if (mood.yearFrom && mood.yearTo && mood.yearFrom > mood.yearTo) {
+        var tmp = mood.yearFrom;
+        mood.yearFrom = mood.yearTo;
+        mood.yearTo = tmp;
+    }
+
+    // nothing to search for
+    if (mood.keywords.length === 0) {
+        mood.keywords = mood.genres.map(function (g) { return g.toLowerCase(); });
+    }
+    if (mood.keywords.length === 0) return null;
+
+    return mood;
+}
+
+// OFFLINE MOOD PARSER
+// reads a mood without any ai - same shape as an ai mood plus genre weights
+// pure, so parseMood('really dark 90s thriller, no gore', 2024) always gives the same answer
+
+function parseMood(text, thisYear) {
+    thisYear = thisYear || new Date().getFullYear();
+    var lower = text.toLowerCase().replace(/[‘’]/g, "'");
+
+    var weights = {};
+    var avoid = [];
+    var named = []; // genres negated by name - "no horror"
+    var leftover = [];
+    var yearFrom = null;
+    var yearTo = null;
+    var maxRuntime = moodRuntime(lower);
+
+    // "before 2000", "after 2010", "since 1995"
+    var before = lower.match(/\b(?:before|until|pre)[ -]?(\d{4})\b/);
+    if (before) yearTo = parseInt(before[1]) - 1;
+    var after = lower.match(/\b(?:after|since|post)[ -]?(\d{4})\b/);
+    if (after) yearFrom = parseInt(after[1]);
+
+    var tokens = lower.match(/[a-z0-9'-]+|[,.;!?]/g) || [];
+    var negated = 0; // how many more words the last "no" / "not" covers
+    var intensity = 1;
+    var intensityLeft = 0;
+
+    for (var i = 0; i < tokens.length; i++) {
+        var tok = tokens[i];
+
+        if (clauseBreaks.indexOf(tok) !== -1) {
+            negated = 0;
+            intensityLeft = 0;
+            continue;
+        }
+        if (negationWords.indexOf(tok) !== -1) {
+            negated = 4;
+            continue;
+        }
+
+        var intense = longestMatch(tokens, i, intensityWords);
+        if (intense) {
+            intensity = intensityWords[intense.phrase];
+            intensityLeft = 2;
+            i += intense.length - 1;
+            continue;
+        }
+
+        // "really" stops at a time - "really dark 90s thriller" is a really dark thriller
+        var decade = decadeOf(tok);
+        if (decade) {
+            intensityLeft = 0;
+            if (negated) {
+                negated--;
+            } else {
+                yearFrom = yearFrom === null ? decade : Math.min(yearFrom, decade);
+                yearTo = yearTo === null ? decade + 9 : Math.max(yearTo, decade + 9);
+            }
+            continue;
+        }
+
+        var era = eraOf(tok, thisYear, negated > 0);
+        if (era) {
+            if (era.yearFrom) yearFrom = era.yearFrom;
+            if (era.yearTo) yearTo = era.yearTo;
+            negated = 0;
+            intensityLeft = 0;
+            continue;
+        }
+
+        if (tok === 'short' || tok === 'quick') {
+            if (!negated && !maxRuntime) maxRuntime = 100;
+            continue;
+        }
+        if (tok === 'long') {
+            if (negated && !maxRuntime) maxRuntime = 120; // "not too long"
+            continue;
+        }
+
+        var match = longestMatch(tokens, i, moodLexicon);
+        if (match) {
+            var entry = moodLexicon[match.phrase];
+            var scale = (intensityLeft > 0 ? intensity : 1) * (negated ? -1 : 1);
+            for (var genre in entry) {
+                weights[genre] = (weights[genre] || 0) + entry[genre] * scale;
+                if (negated && match.phrase === genre.toLowerCase()) named.push(genre);
+            }
+            if (negated && moodThemes[match.phrase] && avoid.indexOf(moodThemes[match.phrase]) === -1) {
+                avoid.push(moodThemes[match.phrase]);
+            }
+            i += match.length - 1;
+        } else if (!negated && moodStopWords.indexOf(tok) === -1 && tok.length > 2 && !/^\d+$/.test(tok)) {
+            leftover.push(tok);
+        }
+
+        if (negated) negated--;
+        if (intensityLeft) intensityLeft--;
+    }
+
+    // a genre pushed down to -1 or less is ruled out, anything in between just ranks lower
+    var liked = [];
+    var disliked = false;
+    for (var genre in weights) {
+        weights[genre] = Math.round(weights[genre] * 100) / 100;
+        if (weights[genre] < 0) disliked = true;
+        if (weights[genre] <= -1 && (broadGenres.indexOf(genre) === -1 || named.indexOf(genre) !== -1)) avoid.push(genre);
+        else if (weights[genre] >= 0.5) liked.push(genre);
+    }
+    liked.sort(function (a, b) { return weights[b] - weights[a]; });
+
+    // search the genre names, or the words we didn't know if no genre came up
+    var keywords = liked.slice(0, 3).map(function (g) { return g.toLowerCase(); });
+    if (keywords.length === 0) keywords = leftover.slice(0, 2);
+    if (keywords.length === 0 && (yearFrom || yearTo || maxRuntime || avoid.length || disliked)) {
+        // only limits or dislikes, no taste - search broadly and let the limits filter and the weights rank
+        keywords = ['comedy', 'drama', 'action'].filter(function (k) {
+            return avoid.indexOf(k.charAt(0).toUpperCase() + k.slice(1)) === -1;
+        });
+    }
+
+    return {
+        genres: liked.slice(0, 3),
+        weights: weights,
+        keywords: keywords,
+        yearFrom: yearFrom,
+        yearTo: yearTo,
+        maxRuntime: maxRuntime,
+        avoid: avoid
+    };
+}
+
+// longest phrase in the table starting at tokens[i], up to 5 words
+function longestMatch(tokens, i, table) {
+    for (var len = Math.min(5, tokens.length - i); len > 0; len--) {
+        var phrase = tokens.slice(i, i + len).join(' ');
+        if (table.hasOwnProperty(phrase)) return { phrase: phrase, length: len };
+    }
+    return null;
+}
+
+// "80s", "'80s", "80's", "1980s", "eighties" -> 1980
+function decadeOf(tok) {
+    if (decadeWords[tok]) return decadeWords[tok];
+
+    var m = tok.match(/^'?(\d{2}|\d{4})'?s$/);
+    if (!m) return null;
+    var n = parseInt(m[1]);
+    if (m[1].length === 2) n += n <= 20 ? 2000 : 1900;
+    return n % 10 === 0 ? n : null;
+}
+
+// recent / old, flipped when negated - "nothing old" means fairly new
+function eraOf(tok, thisYear, negated) {
+    var recent = ['recent', 'new', 'newer', 'latest', 'modern'];
+    var old = ['old', 'older', 'classic', 'vintage', 'retro'];
+
+    if (recent.indexOf(tok) !== -1) {
+        return negated ? { yearTo: thisYear - 10 } : { yearFrom: thisYear - 5 };
+    }
+    if (old.indexOf(tok) !== -1) {
+        return negated ? { yearFrom: thisYear - 30 } : { yearTo: 1979 };
+    }
+    return null;
+}
+
+// "under 2 hours", "less than 90 minutes", "90 min or less" -> minutes
+function moodRuntime(text) {
+    var m = text.match(/\b(?:under|less than|shorter than|at most|no more than|max|within)\s+(?:an?\s+)?(\d+(?:\.\d+)?)?\s*(hours?|hrs?|h|minutes?|mins?)\b/) ||
+        text.match(/\b(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?)\s+(?:or less|max|tops)\b/);
+    if (!m) return null;
+
+    var n = m[1] ? parseFloat(m[1]) : 1; // "under an hour"
+    return Math.round(/^h/.test(m[2]) ? n * 60 : n);
+}
+
+// does the text have a word starting with this? stems like "violen" still catch
+// violent and violence, but "war" doesn't catch award and "gore" not Gregory
+function moodMentions(text, word) {
+    var escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp('\\b' + escaped, 'i').test(text);
+}
+
+// node (the tests) loads this with require
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseMood: parseMood,
+        validateMood: validateMood,
+        parseMoodReply: parseMoodReply,
+        moodMentions: moodMentions,
+        moodLexicon: moodLexicon
+    };
+}
@@ -0,0 +1,186 @@
+// CineMatch key proxy
+// keeps the omdb / gemini keys on this machine and forwards the app's calls,
+// so the browser never sees or sends a key
+//
+// usage:  OMDB_API_KEY=xxxx GEMINI_API_KEY=yyyy node proxy.js
+// then open http://localhost:8787 (or turn on the proxy in the app's settings)
+//
+// env: PORT (8787), HOST (127.0.0.1), ALLOW_ORIGIN (none), ALLOW_HOSTS (none)
+// needs node 18+ (for fetch), nothing to install
+//
+// by default only this machine can reach it and only pages it serves itself
+// can call it - otherwise any site you visit, or anyone on your network,
+// could spend your keys
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const OMDB_URL = 'https://www.omdbapi.com/';
+const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
+const GEMINI_MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const PORT = parseInt(process.env.PORT) || 8787;
+// set to 0.0.0.0 to let other devices on the network use it
+const HOST = process.env.HOST || '127.0.0.1';
+const OMDB_API_KEY = process.env.OMDB_API_KEY || '';
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+// set this if the app is served from somewhere else, e.g. http://localhost:5500
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || '';
+// the names the proxy answers to - add yours (e.g. 192.168.1.20:8787) when using HOST
+const ALLOW_HOSTS = ['127.0.0.1:' + PORT, 'localhost:' + PORT, '[::1]:' + PORT].concat(
+    (process.env.ALLOW_HOSTS || '').split(',').map(function (h) { return h.trim(); }).filter(Boolean));
+const MAX_BODY = 64 * 1024; // a mood prompt is a few kb at most
+
+// the app itself, so it can be opened straight from the proxy
+const appFiles = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/index.html': ['index.html', 'text/html; charset=utf-8'],
+    '/mood.js': ['mood.js', 'text/javascript; charset=utf-8'],
+    '/app.js': ['app.js', 'text/javascript; charset=utf-8'],
+    '/styles.css': ['styles.css', 'text/css; charset=utf-8']
+};
+
+function send(res, status, body, type) {
+    var headers = { 'Content-Type': type || 'application/json; charset=utf-8' };
+    // no cors headers unless asked for, so other sites can't read the answers
+    if (ALLOW_ORIGIN) {
+        headers['Access-Control-Allow-Origin'] = ALLOW_ORIGIN;
+        headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+        headers['Access-Control-Allow-Headers'] = 'Content-Type';
+        headers['Vary'] = 'Origin';
+    }
+    res.writeHead(status, headers);
+    res.end(body);
+}
+
+// who gets to use the keys:
+// - the Host has to be one of ours, so a site that points its own name at
+//   127.0.0.1 (dns rebinding) is turned away
+// - a page calling the api has to be one we serve, or ALLOW_ORIGIN. an <img> or
+//   <script> from another site sends no Origin, but browsers mark it
+//   Sec-Fetch-Site: cross-site, so that's refused too
+// curl and other non-browser clients send neither header and get through
+function requestAllowed(req, api) {
+    if (ALLOW_HOSTS.indexOf(req.headers.host) === -1) return false;
+
+    var origin = req.headers.origin;
+    if (origin) {
+        return (ALLOW_ORIGIN && origin === ALLOW_ORIGIN) || origin === 'http://' + req.headers.host;
+    }
+    // opening the app from a link elsewhere is fine, using the keys isn't
+    if (!api) return true;
+    var site = req.headers['sec-fetch-site'];
+    return !site || site === 'same-origin' || site === 'none';
+}
+
+function sendJson(res, status, data) {
+    send(res, status, JSON.stringify(data));
+}
+
+// pass the upstream answer through as it is
+async function forward(res, url, options) {
+    try {
+        var upstream = await fetch(url, options);
+        var text = await upstream.text();
+        send(res, upstream.status, text, upstream.headers.get('content-type'));
+    } catch (err) {
+        console.error('upstream error:', err.message);
+        sendJson(res, 502, { Response: 'False', Error: 'Proxy could not reach ' + new URL(url).host });
+    }
+}
+
+function readBody(req) {
+    return new Promise(function (resolve, reject) {
+        var chunks = [];
+        var size = 0;
+        req.on('data', function (chunk) {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', function () { resolve(Buffer.concat(chunks)); });
+        req.on('error', reject);
+    });
+}
+
+// GET /omdb?s=alien&page=2 -> omdb with our key (any apikey sent along is dropped)
+function handleOmdb(req, res, url) {
+    if (!OMDB_API_KEY) {
+        sendJson(res, 503, { Response: 'False', Error: 'No OMDB_API_KEY set on the proxy' });
+        return;
+    }
+    var params = new URLSearchParams(url.searchParams);
+    params.delete('apikey');
+    params.set('apikey', OMDB_API_KEY);
+    forward(res, OMDB_URL + '?' + params.toString());
+}
+
+// POST /gemini -> generateContent, GET /gemini/models -> models list (used to check the key)
+async function handleGemini(req, res, url) {
+    if (!GEMINI_API_KEY) {
+        sendJson(res, 503, { error: { message: 'No GEMINI_API_KEY set on the proxy' } });
+        return;
+    }
+    var headers = { 'Content-Type': 'application/json', 'x-goog-api-key': GEMINI_API_KEY };
+
+    if (url.pathname === '/gemini/models' && req.method === 'GET') {
+        forward(res, GEMINI_MODELS_URL, { headers: headers });
+        return;
+    }
+    if (url.pathname !== '/gemini' || req.method !== 'POST') {
+        sendJson(res, 404, { error: { message: 'Not found' } });
+        return;
+    }
+
+    try {
+        var body = await readBody(req);
+        forward(res, GEMINI_URL, { method: 'POST', headers: headers, body: body });
+    } catch (err) {
+        sendJson(res, 413, { error: { message: 'Request too large' } });
+    }
+}
+
+function serveFile(res, file) {
+    fs.readFile(path.join(__dirname, file[0]), function (err, data) {
+        if (err) {
+            send(res, 404, 'Not found', 'text/plain');
+            return;
+        }
+        send(res, 200, data, file[1]);
+    });
+}
+
+var server = http.createServer(function (req, res) {
+    var url = new URL(req.url, 'http://localhost');
+    // only the path is logged - the query can hold what the user searched for
+    console.log(req.method, url.pathname);
+
+    var api = url.pathname === '/omdb' || url.pathname === '/status' || url.pathname.indexOf('/gemini') === 0;
+    if (!requestAllowed(req, api)) {
+        sendJson(res, 403, { Response: 'False', Error: 'Request not allowed - check ALLOW_ORIGIN and ALLOW_HOSTS' });
+    } else if (req.method === 'OPTIONS') {
+        send(res, 204, '');
+    } else if (url.pathname === '/status') {
+        // which keys are set, never the keys themselves
+        sendJson(res, 200, { omdb: !!OMDB_API_KEY, gemini: !!GEMINI_API_KEY });
+    } else if (url.pathname === '/omdb' && req.method === 'GET') {
+        handleOmdb(req, res, url);
+    } else if (url.pathname.indexOf('/gemini') === 0) {
+        handleGemini(req, res, url);
+    } else if (appFiles[url.pathname] && req.method === 'GET') {
+        serveFile(res, appFiles[url.pathname]);
+    } else {
+        send(res, 404, 'Not found', 'text/plain');
+    }
+});
+
+server.listen(PORT, HOST, function () {
+    console.log('CineMatch proxy on http://' + HOST + ':' + PORT);
+    if (!OMDB_API_KEY) console.log('warning: OMDB_API_KEY is not set, searches will fail');
+    if (!GEMINI_API_KEY) console.log('no GEMINI_API_KEY - mood search will use the offline parser');
+});
@@ -0,0 +1,360 @@
+// CineMatch sync server
+// keeps each account's lists and watch history so they follow you across
+// devices and browsers. everything is saved in one json file
+//
+// usage:  node sync-server.js
+// then in the app: Settings > Sync, server http://localhost:8788
+//
+// env: PORT (8788), HOST (127.0.0.1), DATA_FILE (./cinematch-data.json), ALLOW_ORIGIN (none)
+// sign-ins last 30 days, and a few wrong passwords lock the login for a while
+// needs node 18+, nothing to install
+//
+// like the key proxy it only listens on this machine by default, and browsers
+// only let a page read its answers when ALLOW_ORIGIN names where the app is served
+//
+// the app sends items - a list's name, one movie in a list, one history entry -
+// each stamped with when it was edited. the newest stamp wins per item, and
+// every accepted change gets a revision number so a device can ask for
+// "everything since revision N"
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT) || 8788;
+// set to 0.0.0.0 to sync devices across the network
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'cinematch-data.json');
+// where the app is opened from, e.g. http://localhost:8787
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || '';
+const MAX_BODY = 5 * 1024 * 1024; // a first sync sends everything at once
+const ITEM_PREFIXES = ['list:', 'movie:', 'history:'];
+const TOKEN_TTL = 30 * 24 * 3600 * 1000; // sign in again after 30 days
+const LOGIN_TRIES = 5; // wrong passwords before the login locks
+const LOGIN_LOCK = 30 * 1000; // first lock, doubles with every lock after that
+
+// every map is made with no prototype, so names like "__proto__" or
+// "constructor" are just keys
+// users: name -> { salt, hash, created }
+// tokens: token -> { user, expires }
+// items: name -> { key -> { t, rev, value, deleted } }
+// revs: name -> latest revision
+var db = { users: newMap(), tokens: newMap(), items: newMap(), revs: newMap() };
+var saveTimer = null;
+// wrong logins by "user:name" and "ip:address" -> { fails, until }, only kept in memory
+var loginFails = newMap();
+
+function newMap(from) {
+    return Object.assign(Object.create(null), from);
+}
+
+function loadDb() {
+    var saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        console.error('could not read ' + DATA_FILE + ':', err.message);
+        process.exit(1);
+    }
+
+    db.users = newMap(saved.users);
+    db.revs = newMap(saved.revs);
+    db.items = newMap();
+    Object.keys(saved.items || {}).forEach(function (user) {
+        db.items[user] = newMap(saved.items[user]);
+    });
+    // tokens from before they expired were just the user name
+    db.tokens = newMap();
+    Object.keys(saved.tokens || {}).forEach(function (token) {
+        var t = saved.tokens[token];
+        db.tokens[token] = typeof t === 'string' ? { user: t, expires: Date.now() + TOKEN_TTL } : t;
+    });
+    pruneTokens();
+}
+
+// write to a temp file first so a crash mid-write can't eat the data
+function saveDb() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(function () {
+        var tmp = DATA_FILE + '.tmp';
+        fs.writeFile(tmp, JSON.stringify(db), function (err) {
+            if (err) return console.error('save error:', err.message);
+            fs.rename(tmp, DATA_FILE, function (err) {
+                if (err) console.error('save error:', err.message);
+            });
+        });
+    }, 200);
+}
+
+function send(res, status, data) {
+    var headers = { 'Content-Type': 'application/json; charset=utf-8' };
+    // no cors headers unless asked for, so other sites can't read accounts
+    if (ALLOW_ORIGIN) {
+        headers['Access-Control-Allow-Origin'] = ALLOW_ORIGIN;
+        headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+        headers['Access-Control-Allow-Headers'] = 'Content-Type, Authorization';
+        headers['Vary'] = 'Origin';
+    }
+    res.writeHead(status, headers);
+    res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+// bodies are always json objects - null, arrays and the like get a 400
+function readJson(req) {
+    return new Promise(function (resolve, reject) {
+        var chunks = [];
+        var size = 0;
+        req.on('data', function (chunk) {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Request too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', function () {
+            var body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+            } catch (err) {
+                reject(new Error('Body is not valid JSON'));
+                return;
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new Error('Body must be a JSON object'));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+// ACCOUNTS
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function newToken(user) {
+    pruneTokens();
+    var token = crypto.randomBytes(32).toString('hex');
+    db.tokens[token] = { user: user, expires: Date.now() + TOKEN_TTL };
+    saveDb();
+    return token;
+}
+
+function pruneTokens() {
+    var now = Date.now();
+    Object.keys(db.tokens).forEach(function (token) {
+        if (!(db.tokens[token].expires > now)) delete db.tokens[token];
+    });
+}
+
+// who the bearer token belongs to, or null once it has expired
+function authUser(req) {
+    var header = req.headers.authorization || '';
+    var token = header.indexOf('Bearer ') === 0 ? header.slice(7) : '';
+    var entry = token ? db.tokens[token] : null;
+    if (!entry) return null;
+    if (!(entry.expires > Date.now())) {
+        delete db.tokens[token];
+        saveDb();
+        return null;
+    }
+    return entry.user;
+}
+
+function register(body) {
+    var user = String(body.username || '').trim().toLowerCase();
+    var password = String(body.password || '');
+
+    if (!/^[a-z0-9_.-]{3,32}$/.test(user)) {
+        return [400, { error: 'Usernames are 3-32 letters, numbers, dots, dashes or underscores' }];
+    }
+    if (password.length < 6) return [400, { error: 'Password needs at least 6 characters' }];
+    if (db.users[user]) return [409, { error: 'That username is taken' }];
+
+    var salt = crypto.randomBytes(16).toString('hex');
+    db.users[user] = { salt: salt, hash: hashPassword(password, salt), created: Date.now() };
+    db.items[user] = newMap();
+    db.revs[user] = 0;
+    return [201, { user: user, token: newToken(user) }];
+}
+
+// seconds until these keys can try again, 0 when they can
+function loginLockLeft(keys) {
+    var now = Date.now();
+    return keys.reduce(function (left, key) {
+        var f = loginFails[key];
+        return f && f.until > now ? Math.max(left, Math.ceil((f.until - now) / 1000)) : left;
+    }, 0);
+}
+
+// every few wrong tries locks the user and the address, twice as long each time
+function loginFailed(keys) {
+    keys.forEach(function (key) {
+        var f = loginFails[key] || (loginFails[key] = { fails: 0, until: 0 });
+        f.fails++;
+        if (f.fails % LOGIN_TRIES === 0) {
+            f.until = Date.now() + LOGIN_LOCK * Math.pow(2, f.fails / LOGIN_TRIES - 1);
+        }
+    });
+}
+
+function login(body, ip) {
+    var user = String(body.username || '').trim().toLowerCase();
+    var keys = ['user:' + user, 'ip:' + ip];
+    var wait = loginLockLeft(keys);
+    if (wait > 0) return [429, { error: 'Too many wrong passwords - try again in ' + wait + 's' }];
+
+    var account = db.users[user];
+    var given = account && Buffer.from(hashPassword(String(body.password || ''), account.salt), 'hex');
+    if (!account || !crypto.timingSafeEqual(given, Buffer.from(account.hash, 'hex'))) {
+        loginFailed(keys);
+        return [401, { error: 'Wrong username or password' }];
+    }
+
+    keys.forEach(function (key) { delete loginFails[key]; });
+    return [200, { user: user, token: newToken(user) }];
+}
+
+// SYNC
+
+function validChange(c) {
+    return c && typeof c.key === 'string' && c.key.length < 200 && typeof c.t === 'number' &&
+        ITEM_PREFIXES.some(function (p) { return c.key.indexOf(p) === 0; }) &&
+        (c.deleted === true || (c.value && typeof c.value === 'object'));
+}
+
+// POST /api/sync { since, changes: [{ key, t, value | deleted }] }
+// -> { cursor, changes } with everything newer than `since`, plus the server's
+// copy of any item where the device's edit was older
+function syncUser(user, body) {
+    var items = db.items[user];
+    var since = Number(body.since) || 0;
+    // server data was reset - send the device everything
+    if (since > db.revs[user]) since = 0;
+
+    var accepted = newMap();
+    var lost = [];
+    var changes = Array.isArray(body.changes) ? body.changes : [];
+
+    changes.filter(validChange).forEach(function (c) {
+        var current = items[c.key];
+        if (current && current.t >= c.t) {
+            lost.push(c.key);
+            return;
+        }
+        items[c.key] = c.deleted
+            ? { t: c.t, rev: ++db.revs[user], deleted: true }
+            : { t: c.t, rev: ++db.revs[user], value: c.value };
+        accepted[c.key] = true;
+    });
+    if (changes.length > 0) saveDb();
+
+    var out = [];
+    Object.keys(items).forEach(function (key) {
+        var item = items[key];
+        if (accepted[key]) return; // the device already has it
+        if (item.rev > since || lost.indexOf(key) !== -1) {
+            out.push(item.deleted
+                ? { key: key, t: item.t, deleted: true }
+                : { key: key, t: item.t, value: item.value });
+        }
+    });
+    return [200, { cursor: db.revs[user], changes: out }];
+}
+
+// plain read-only views, handy for backups or other tools
+
+function liveItems(user, prefix) {
+    var items = db.items[user];
+    return Object.keys(items).filter(function (key) {
+        return key.indexOf(prefix) === 0 && !items[key].deleted;
+    }).map(function (key) {
+        return { key: key, value: items[key].value };
+    });
+}
+
+function userLists(user) {
+    var movies = liveItems(user, 'movie:');
+    return liveItems(user, 'list:').map(function (l) {
+        var prefix = 'movie:' + l.value.id + ':';
+        return {
+            id: l.value.id,
+            name: l.value.name,
+            movies: movies.filter(function (m) { return m.key.indexOf(prefix) === 0; })
+                .map(function (m) { return m.value; })
+        };
+    });
+}
+
+function userHistory(user) {
+    return liveItems(user, 'history:').map(function (h) { return h.value; })
+        .sort(function (a, b) { return String(b.watchedOn).localeCompare(String(a.watchedOn)); });
+}
+
+// ROUTES
+
+async function handle(req, res) {
+    var url = new URL(req.url, 'http://localhost');
+    var route = req.method + ' ' + url.pathname;
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (route === 'GET /api/status') return send(res, 200, { ok: true });
+
+    var body = {};
+    if (req.method === 'POST') {
+        try {
+            body = await readJson(req);
+        } catch (err) {
+            return send(res, 400, { error: err.message });
+        }
+    }
+
+    var result;
+    if (route === 'POST /api/register') result = register(body);
+    else if (route === 'POST /api/login') result = login(body, req.socket.remoteAddress);
+
+    if (result) return send(res, result[0], result[1]);
+
+    // everything below needs a signed in user
+    var user = authUser(req);
+    if (!user) return send(res, 401, { error: 'Please sign in' });
+
+    if (route === 'POST /api/logout') {
+        delete db.tokens[req.headers.authorization.slice(7)];
+        saveDb();
+        return send(res, 200, { ok: true });
+    }
+    if (route === 'POST /api/sync') {
+        result = syncUser(user, body);
+        return send(res, result[0], result[1]);
+    }
+    if (route === 'GET /api/lists') return send(res, 200, { lists: userLists(user) });
+    if (route === 'GET /api/history') return send(res, 200, { history: userHistory(user) });
+
+    send(res, 404, { error: 'Not found' });
+}
+
+loadDb();
+
+// don't lose a save that's still waiting on ctrl+c
+process.on('SIGINT', function () {
+    if (saveTimer) fs.writeFileSync(DATA_FILE, JSON.stringify(db));
+    process.exit(0);
+});
+
+http.createServer(function (req, res) {
+    handle(req, res).catch(function (err) {
+        console.error('request error:', err);
+        send(res, 500, { error: 'Server error' });
+    });
+}).listen(PORT, HOST, function () {
+    console.log('CineMatch sync server on http://' + HOST + ':' + PORT + ', saving to ' + DATA_FILE);
+    if (!ALLOW_ORIGIN) console.log('no ALLOW_ORIGIN - browsers can\'t use it until it names where the app is served');
+});
@@ -0,0 +1,239 @@
+// axe over the page and every popup, and the keyboard controls:
+// arrows / Enter / W on the card grid, "/" for search, and focus kept inside
+// a popup while it's open then handed back when it closes
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const { loadPage, sleep } = require('./page');
+
+const axeSource = fs.readFileSync(require.resolve('axe-core'), 'utf8');
+
+function details(id) {
+    return {
+        Response: 'True',
+        imdbID: id,
+        Title: 'Movie ' + id,
+        Year: '2001',
+        Rated: 'PG',
+        Runtime: '100 min',
+        Genre: 'Comedy, Drama',
+        Director: 'Jane Doe',
+        Writer: 'Jo Writer',
+        Actors: 'Ann Lee, Bo Kim',
+        Plot: 'Something happens.',
+        Poster: 'https://example.com/' + id + '.jpg',
+        Ratings: [{ Source: 'Internet Movie Database', Value: '7.0/10' }],
+        imdbRating: '7.0',
+        imdbVotes: '1,000',
+        Type: 'movie',
+        Awards: 'N/A',
+        Language: 'English',
+        Country: 'USA'
+    };
+}
+
+const IDS = ['tt0000001', 'tt0000002', 'tt0000003', 'tt0000004'];
+
+// details by id, and every title search finds the same four movies
+async function omdb(url) {
+    const id = /[?&]i=(tt\d+)/.exec(url);
+    const body = id ? details(id[1]) : { Response: 'True', totalResults: String(IDS.length), Search: IDS.map(details) };
+    return { ok: true, status: 200, json: async function () { return body; } };
+}
+
+let w;
+let d;
+
+before(async function () {
+    w = await loadPage({ storage: { cinematch_omdb_key: 'test' }, fetch: omdb });
+    d = w.document;
+    w.eval(axeSource);
+});
+
+after(function () {
+    w.close();
+});
+
+// colour contrast needs real layout, which jsdom doesn't have
+async function assertAccessible(context) {
+    const result = await w.axe.run(context || d, { rules: { 'color-contrast': { enabled: false } } });
+    const found = result.violations.map(function (v) {
+        return v.id + ': ' + v.nodes.map(function (n) { return n.target.join(' '); }).join(', ');
+    });
+    assert.strictEqual(found.join('\n'), '');
+}
+
+function press(el, key, opts) {
+    const e = new w.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, opts));
+    el.dispatchEvent(e);
+    return e;
+}
+
+// jsdom has no layout, so lay the cards out two to a row
+function twoColumns(cards) {
+    cards.forEach(function (card, i) {
+        card.getBoundingClientRect = function () {
+            return { top: Math.floor(i / 2) * 100, left: (i % 2) * 100, bottom: 0, right: 0, width: 100, height: 100 };
+        };
+    });
+}
+
+function resultCards() {
+    return [...d.querySelectorAll('#resultsGrid .movie-card')];
+}
+
+test('main page', async function () {
+    await assertAccessible();
+});
+
+test('search results', async function () {
+    await w.runSearch('title', 'movie');
+    assert.strictEqual(resultCards().length, IDS.length);
+    await assertAccessible();
+});
+
+test('movie popup', async function () {
+    await w.openMovie(IDS[0]);
+    await sleep(50);
+    const modal = d.getElementById('movieModal');
+    assert.ok(modal.classList.contains('active'));
+    await assertAccessible(modal);
+    w.closeMovie();
+});
+
+test('api keys popup', async function () {
+    w.showApiModal();
+    await assertAccessible(d.getElementById('apiConfigModal'));
+    w.hideApiModal();
+});
+
+test('import popup', async function () {
+    await w.handleImportFile({ name: 'list.csv', text: async function () { return 'imdbID,Title\n' + IDS[0] + ',A\ntt9999999,B\n'; } });
+    const modal = d.getElementById('importModal');
+    assert.ok(modal.classList.contains('active'));
+    await assertAccessible(modal);
+    w.closeImport();
+});
+
+test('shared list popup', async function () {
+    await w.openShared(w.encodeShare('Friends', IDS.slice(0, 2)));
+    const modal = d.getElementById('sharedModal');
+    assert.ok(modal.classList.contains('active'));
+    await assertAccessible(modal);
+    w.closeShared();
+});
+
+test('compare popup', async function () {
+    w.compareIds = IDS.slice(0, 3);
+    await w.openCompare();
+    const modal = d.getElementById('compareModal');
+    assert.ok(modal.querySelector('.compare-table'));
+    await assertAccessible(modal);
+    w.closeCompare();
+    w.clearCompare();
+});
+
+test('watched popup', async function () {
+    await w.toggleInList(w.currentListId, IDS[3]);
+    w.openWatched(IDS[3]);
+    const modal = d.getElementById('watchedModal');
+    assert.ok(modal.classList.contains('active'));
+    await assertAccessible(modal);
+    w.closeWatched();
+    await w.toggleInList(w.currentListId, IDS[3]);
+});
+
+test('arrow keys move between cards', function () {
+    const cards = resultCards();
+    twoColumns(cards);
+    cards[0].focus();
+
+    press(cards[0], 'ArrowRight');
+    assert.strictEqual(d.activeElement, cards[1]);
+    press(cards[1], 'ArrowDown');
+    assert.strictEqual(d.activeElement, cards[3]);
+    press(cards[3], 'ArrowLeft');
+    assert.strictEqual(d.activeElement, cards[2]);
+    press(cards[2], 'ArrowUp');
+    assert.strictEqual(d.activeElement, cards[0]);
+
+    // only the focused card is a tab stop
+    assert.deepStrictEqual(cards.map(function (c) { return c.tabIndex; }), [0, -1, -1, -1]);
+});
+
+test('W adds the focused card to the watchlist and takes it off again', async function () {
+    const card = resultCards()[1];
+    card.focus();
+    press(card, 'w');
+    await sleep(20);
+    assert.deepStrictEqual(Array.from(w.watchlist, function (m) { return m.imdbID; }), [IDS[1]]);
+
+    press(card, 'W');
+    await sleep(20);
+    assert.strictEqual(w.watchlist.length, 0);
+});
+
+test('Enter opens the movie, Escape closes it and focus goes back to the card', async function () {
+    const card = resultCards()[2];
+    card.focus();
+    press(card, 'Enter');
+    await sleep(50);
+
+    const modal = d.getElementById('movieModal');
+    assert.ok(modal.classList.contains('active'));
+    assert.ok(modal.contains(d.activeElement), 'focus should move into the popup');
+    assert.ok(d.getElementById('movieDetailsContent').textContent.includes('Movie ' + IDS[2]));
+
+    press(d.activeElement, 'Escape');
+    assert.ok(!modal.classList.contains('active'));
+    assert.strictEqual(d.activeElement, card);
+});
+
+test('Tab and Shift+Tab stay inside an open popup', function () {
+    const opener = d.getElementById('searchInput');
+    opener.focus();
+    w.showApiModal();
+
+    const modal = d.getElementById('apiConfigModal');
+    const els = w.focusables(modal);
+    const first = els[0];
+    const last = els[els.length - 1];
+    assert.ok(modal.contains(d.activeElement));
+
+    last.focus();
+    assert.ok(press(last, 'Tab').defaultPrevented);
+    assert.strictEqual(d.activeElement, first);
+
+    assert.ok(press(first, 'Tab', { shiftKey: true }).defaultPrevented);
+    assert.strictEqual(d.activeElement, last);
+
+    // focus that got out of the popup is pulled back in
+    d.body.focus();
+    press(d.body, 'Tab');
+    assert.strictEqual(d.activeElement, first);
+
+    press(d.activeElement, 'Escape');
+    assert.ok(!modal.classList.contains('active'));
+    assert.strictEqual(d.activeElement, opener);
+});
+
+test('/ jumps to the search box, but not while typing or in a popup', function () {
+    const search = d.getElementById('searchInput');
+    const card = resultCards()[0];
+    card.focus();
+
+    assert.ok(press(card, '/').defaultPrevented);
+    assert.strictEqual(d.activeElement, search);
+
+    const time = d.getElementById('availableTime');
+    time.focus();
+    assert.ok(!press(time, '/').defaultPrevented);
+    assert.strictEqual(d.activeElement, time);
+
+    w.showApiModal();
+    const inside = d.activeElement;
+    assert.ok(!press(inside, '/').defaultPrevented);
+    assert.strictEqual(d.activeElement, inside);
+    w.hideApiModal();
+});
@@ -0,0 +1,137 @@
+// every view that builds html from strings, fed titles, plots, names and
+// posters that try to break out of the text or an attribute
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadPage, sleep } = require('./page');
+
+const PAYLOAD = '<img src=x onerror=window.hacked=1>" onmouseover="window.hacked=1\' onfocus=\'window.hacked=1';
+
+function movie(id, extra) {
+    return Object.assign({
+        imdbID: id,
+        Title: PAYLOAD,
+        Year: '1999',
+        Rated: 'PG',
+        Runtime: '200 min',
+        Genre: 'Drama, ' + PAYLOAD,
+        Director: PAYLOAD,
+        Writer: PAYLOAD,
+        Actors: PAYLOAD + ', Someone Else',
+        Plot: PAYLOAD,
+        Awards: 'Won 2 Oscars. ' + PAYLOAD,
+        Language: PAYLOAD,
+        Country: PAYLOAD,
+        Poster: 'https://example.com/a.jpg" onerror="window.hacked=1',
+        Ratings: [{ Source: 'Internet Movie Database', Value: '7.5/10' }, { Source: PAYLOAD, Value: PAYLOAD }],
+        imdbRating: '7.5',
+        Type: 'movie',
+        Response: 'True'
+    }, extra);
+}
+
+// anything the payload could have turned into markup
+function assertClean(w, root) {
+    const els = [root].concat([...root.querySelectorAll('*')]);
+    els.forEach(function (el) {
+        assert.ok(!/^(svg|script|iframe)$/i.test(el.tagName), 'injected <' + el.tagName + '>');
+        assert.notStrictEqual(el.getAttribute('src'), 'x', 'injected <img src=x>');
+        [...el.attributes].forEach(function (attr) {
+            assert.ok(!/^on/i.test(attr.name), 'injected ' + attr.name + ' on <' + el.tagName + '>');
+        });
+    });
+    assert.strictEqual(w.hacked, undefined);
+}
+
+let w;
+let d;
+
+before(async function () {
+    w = await loadPage({ storage: { cinematch_omdb_key: 'test' } });
+    d = w.document;
+});
+
+after(function () {
+    w.close();
+});
+
+test('movie card', function () {
+    const box = d.createElement('div');
+    box.innerHTML = w.makeMovieCard(movie('tt0000001'));
+    assertClean(w, box);
+    assert.ok(box.textContent.includes(PAYLOAD));
+});
+
+test('movie details', function () {
+    w.displayMovie(movie('tt0000001'));
+    const box = d.getElementById('movieDetailsContent');
+    assertClean(w, box);
+    assert.ok(box.textContent.includes(PAYLOAD));
+});
+
+test('similar movies', function () {
+    const m = movie('tt0000002', { similarity: { score: 3, reasons: [PAYLOAD] } });
+    w.showSimilar([m]);
+    const box = d.getElementById('similarMoviesGrid');
+    assertClean(w, box);
+    assert.ok(box.textContent.includes(PAYLOAD));
+});
+
+test('watchlist and list names', function () {
+    w.lists[0].name = PAYLOAD;
+    w.watchlist.push(w.watchlistEntry(movie('tt0000003')), w.watchlistEntry(movie('tt0000004')));
+    w.renderListSelect();
+    w.updateWatchlistUI();
+    assertClean(w, d.getElementById('watchlistContainer'));
+    assertClean(w, d.getElementById('listSelect'));
+    assert.ok(d.getElementById('watchlistContainer').textContent.includes(PAYLOAD));
+});
+
+test('optimizer suggestions', async function () {
+    d.getElementById('availableTime').value = '4';
+    await w.optimize();
+    const box = d.getElementById('optimizationResults');
+    assert.ok(box.querySelector('.optimization-warning'), 'the list should not fit');
+    assertClean(w, box);
+    assert.ok(box.textContent.includes(PAYLOAD));
+});
+
+test('party table', function () {
+    w.party.on = true;
+    w.party.people = [{ id: 'p1', name: PAYLOAD, votes: {} }];
+    w.renderParty();
+    assertClean(w, d.getElementById('partyPanel'));
+    assert.ok(d.getElementById('partyPanel').textContent.includes(PAYLOAD));
+    w.party.on = false;
+    w.party.people = [];
+    w.renderParty();
+});
+
+test('shared list preview', function () {
+    w.sharedPreview = {
+        code: 'abc',
+        name: PAYLOAD,
+        loading: false,
+        rows: [{ imdbID: 'tt0000005', entry: w.watchlistEntry(movie('tt0000005')) }, { imdbID: PAYLOAD, entry: null }]
+    };
+    w.renderSharedTargets();
+    w.renderSharedPreview();
+    const box = d.getElementById('sharedModal');
+    assertClean(w, box);
+    assert.ok(box.textContent.includes(PAYLOAD));
+});
+
+test('compare table', function () {
+    w.compareMovies = [movie('tt0000006'), movie('tt0000007', { imdbRating: '8.0' })];
+    w.renderCompare();
+    const box = d.getElementById('compareModal');
+    assertClean(w, box);
+    assert.ok(box.textContent.includes(PAYLOAD));
+});
+
+test('toast', async function () {
+    w.toast(PAYLOAD, 'error');
+    const box = d.getElementById('toastContainer');
+    assertClean(w, box);
+    assert.ok(box.textContent.includes(PAYLOAD));
+});
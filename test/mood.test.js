@@ -0,0 +1,129 @@
+// the offline mood parser and the ai reply check, straight from mood.js
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseMood, validateMood, parseMoodReply, moodMentions } = require('../mood');
+const { loadPage } = require('./page');
+
+const YEAR = 2024;
+
+test('negated genre names are ruled out', function () {
+    const mood = parseMood('no horror, something funny', YEAR);
+    assert.deepStrictEqual(mood.avoid, ['Horror']);
+    assert.deepStrictEqual(mood.genres, ['Comedy']);
+});
+
+test('negated mood words rule out their genre', function () {
+    const mood = parseMood('not scary', YEAR);
+    assert.deepStrictEqual(mood.avoid, ['Horror']);
+    assert.ok(mood.keywords.length > 0, 'should still search for something');
+});
+
+test('"not sad" ranks drama lower without ruling it out', function () {
+    const mood = parseMood('not sad', YEAR);
+    assert.deepStrictEqual(mood.avoid, []);
+    assert.ok(mood.weights.Drama < 0);
+    assert.ok(mood.keywords.length > 0, 'should still search for something');
+});
+
+test('"no drama" does rule drama out', function () {
+    assert.deepStrictEqual(parseMood('no drama', YEAR).avoid, ['Drama']);
+});
+
+test('negation stops at a clause break', function () {
+    const mood = parseMood('not sad but funny', YEAR);
+    assert.ok(mood.weights.Comedy > 0);
+    assert.ok(mood.genres.indexOf('Comedy') !== -1);
+});
+
+test('negated themes are avoided in the plot', function () {
+    assert.ok(parseMood('a comedy without violence', YEAR).avoid.indexOf('violen') !== -1);
+});
+
+test('decades in every spelling', function () {
+    ['90s', "'90s", "90's", '1990s', 'nineties'].forEach(function (word) {
+        const mood = parseMood('a ' + word + ' comedy', YEAR);
+        assert.strictEqual(mood.yearFrom, 1990, word);
+        assert.strictEqual(mood.yearTo, 1999, word);
+    });
+    const two = parseMood('80s or 90s action', YEAR);
+    assert.strictEqual(two.yearFrom, 1980);
+    assert.strictEqual(two.yearTo, 1999);
+    assert.strictEqual(parseMood('2010s sci-fi', YEAR).yearFrom, 2010);
+});
+
+test('a negated decade is ignored', function () {
+    const mood = parseMood('not 90s, funny', YEAR);
+    assert.strictEqual(mood.yearFrom, null);
+    assert.strictEqual(mood.yearTo, null);
+});
+
+test('eras and years', function () {
+    assert.strictEqual(parseMood('something recent', YEAR).yearFrom, 2019);
+    assert.strictEqual(parseMood('nothing old', YEAR).yearFrom, 1994);
+    assert.strictEqual(parseMood('a thriller before 2000', YEAR).yearTo, 1999);
+    assert.strictEqual(parseMood('comedy since 2015', YEAR).yearFrom, 2015);
+});
+
+test('runtime limits', function () {
+    assert.strictEqual(parseMood('something funny under 2 hours', YEAR).maxRuntime, 120);
+    assert.strictEqual(parseMood('less than 90 minutes', YEAR).maxRuntime, 90);
+    assert.strictEqual(parseMood('under an hour', YEAR).maxRuntime, 60);
+    assert.strictEqual(parseMood('90 min or less', YEAR).maxRuntime, 90);
+    assert.strictEqual(parseMood('not too long', YEAR).maxRuntime, 120);
+});
+
+test('intensity words scale the next words', function () {
+    assert.strictEqual(parseMood('really scary', YEAR).weights.Horror, 1.5);
+    assert.strictEqual(parseMood('a bit scary', YEAR).weights.Horror, 0.5);
+    assert.strictEqual(parseMood('scary', YEAR).weights.Horror, 1);
+});
+
+test('intensity does not carry across a decade', function () {
+    const mood = parseMood('really dark 90s thriller', YEAR);
+    // dark x1.5 (0.6 * 1.5) plus thriller at its normal 1.5
+    assert.strictEqual(mood.weights.Thriller, 2.4);
+    assert.strictEqual(mood.yearFrom, 1990);
+});
+
+test('ai replies are cleaned up against the schema', function () {
+    const raw = parseMoodReply('Sure! ```json\n{"genres": ["comedy", "Nope"], "keywords": [], "yearFrom": 2005, "yearTo": 1990, "maxRuntime": "5000"}\n```');
+    const mood = validateMood(raw, ['Comedy', 'Drama']);
+    assert.deepStrictEqual(mood.genres, ['Comedy']);
+    assert.deepStrictEqual(mood.keywords, ['comedy']);
+    assert.strictEqual(mood.yearFrom, 1990);
+    assert.strictEqual(mood.yearTo, 2005);
+    assert.strictEqual(mood.maxRuntime, 600);
+});
+
+test('useless ai replies are rejected', function () {
+    assert.strictEqual(parseMoodReply('no json here'), null);
+    assert.strictEqual(validateMood(null, ['Comedy']), null);
+    assert.strictEqual(validateMood([], ['Comedy']), null);
+    assert.strictEqual(validateMood({ genres: ['Nope'] }, ['Comedy']), null);
+});
+
+test('avoid words only match at the start of a word', function () {
+    assert.ok(!moodMentions('An award-winning team moves forward', 'war'));
+    assert.ok(!moodMentions('Gregory finds a map', 'gore'));
+    assert.ok(moodMentions('A war story', 'war'));
+    assert.ok(moodMentions('Star Wars', 'war'));
+    assert.ok(moodMentions('A violent gang takes over', 'violen'));
+    assert.ok(moodMentions('Nothing but VIOLENCE', 'violen'));
+    assert.ok(moodMentions('A sci-fi classic', 'sci-fi'));
+});
+
+test('search results are only left out for whole avoid words', async function () {
+    const w = await loadPage();
+    try {
+        const mood = { genres: [], yearFrom: null, yearTo: null, maxRuntime: null, avoid: ['war', 'gore'] };
+        const movie = function (title, plot) { return { Title: title, Plot: plot, Genre: 'Drama', Year: '2000', Runtime: '100 min' }; };
+
+        assert.ok(w.passesMood(movie('The Award', 'Gregory moves forward.'), mood));
+        assert.ok(!w.passesMood(movie('The War', 'Two armies.'), mood));
+        assert.ok(!w.passesMood(movie('Night', 'Lots of gore.'), mood));
+        assert.ok(!w.passesMood({ Title: 'Plain', Plot: '', Genre: 'War, Drama' }, mood));
+    } finally {
+        w.close();
+    }
+});
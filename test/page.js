@@ -0,0 +1,63 @@
+// loads index.html, styles.css and the scripts into jsdom for the tests
+// omdb and everything else on the network goes through options.fetch,
+// and every page gets its own empty indexeddb and localStorage
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const root = path.join(__dirname, '..');
+
+// nothing found, unless the test says otherwise
+function noNetwork() {
+    return { ok: true, status: 200, json: async function () { return { Response: 'False', Error: 'Movie not found!' }; } };
+}
+
+// options: url, storage (localStorage items set before the app starts), fetch(url, opts)
+async function loadPage(options) {
+    options = options || {};
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true, url: options.url || 'http://localhost/' });
+    const w = dom.window;
+
+    // the stylesheet is what hides closed popups, so accessibility checks need it
+    const style = w.document.createElement('style');
+    style.textContent = fs.readFileSync(path.join(root, 'styles.css'), 'utf8');
+    w.document.head.appendChild(style);
+
+    w.indexedDB = new IDBFactory();
+    w.IDBKeyRange = IDBKeyRange;
+    w.TextEncoder = TextEncoder;
+    w.TextDecoder = TextDecoder;
+    w.structuredClone = structuredClone;
+    w.scrollTo = function () {};
+    w.HTMLElement.prototype.scrollIntoView = function () {};
+    w.console.log = function () {};
+    w.fetch = async function (url, opts) {
+        return (options.fetch || noNetwork)(String(url), opts);
+    };
+
+    const storage = options.storage || {};
+    Object.keys(storage).forEach(function (key) {
+        w.localStorage.setItem(key, storage[key]);
+    });
+
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(function (m) { return m[1]; });
+    scripts.forEach(function (src) {
+        w.eval(fs.readFileSync(path.join(root, src), 'utf8') + '\n//# sourceURL=' + src);
+    });
+
+    if (w.document.readyState === 'loading') {
+        await new Promise(function (resolve) { w.document.addEventListener('DOMContentLoaded', resolve); });
+    } else {
+        w.document.dispatchEvent(new w.Event('DOMContentLoaded'));
+    }
+    return w;
+}
+
+function sleep(ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+module.exports = { loadPage, sleep };